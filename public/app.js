@@ -8,17 +8,40 @@ const API_BASE = "";
 // State management
 let isRetrying = false;
 let retryTimeout = null;
-let statusCheckInterval = null;
+let statusEvents = null; // EventSource for live status updates
+let cameraStatuses = new Map(); // cameraId -> latest status report
 let currentCameraId = null;
 let cameras = [];
 let currentViewMode = "single"; // "single" or "multi"
 
+// Recorded footage playback state
+const TIMELINE_WINDOW_MS = 24 * 60 * 60 * 1000; // Timeline covers the last 24 hours
+let timelineStart = 0;
+let timelineEnd = 0;
+let timelineInterval = null;
+let playbackTime = null; // Start of recorded footage being played (null = live)
+let playerLoads = 0; // Counts updatePlayerSource calls, to drop superseded ones
+
+// Live WebRTC playback state
+const WEBRTC_TIMEOUT_MS = 8000; // Fall back to HLS if no video arrives in time
+let webrtcSession = null; // { pc, url } of the current WebRTC session
+let webrtcFailed = new Set(); // Cameras that fell back to HLS until reload
+
+// Live MSE (fragmented MP4 over WebSocket) playback state
+const MSE_TIMEOUT_MS = 8000; // Fall back to HLS if no video arrives in time
+const MSE_MAX_LATENCY = 3; // Seconds behind live before jumping ahead
+const MSE_BACK_BUFFER = 30; // Seconds of played video kept in the buffer
+let mseSession = null; // { socket, sourceBuffer, queue } of the current stream
+let mseFailed = new Set(); // Cameras that fell back to HLS until reload
+
 // Initialize when DOM is ready
 document.addEventListener("DOMContentLoaded", () => {
+  loadCurrentUser();
   loadCameras().then(() => {
     initializePlayer();
     setupEventListeners();
-    startStatusMonitoring();
+    connectStatusEvents();
+    startTimelineRefresh();
     checkStreamStatus();
   });
 });
@@ -34,11 +57,23 @@ function initializePlayer() {
     html5: {
       vhs: {
         overrideNative: true,
+        // Pick ABR renditions by the size the player is shown at
+        limitRenditionByPlayerDimensions: true,
+        useDevicePixelRatio: true,
+        // Play Low-Latency HLS (cameras with lowLatency): load parts and
+        // preload hints, and use blocking playlist reload instead of polling
+        llhls: true,
       },
       nativeVideoTracks: false,
       nativeAudioTracks: false,
       nativeTextTracks: false,
     },
+    // Count as live within a few seconds of the edge, so the live button
+    // shows when a low-latency camera falls behind
+    liveTracker: {
+      trackingThreshold: 0,
+      liveTolerance: 3,
+    },
     playbackRates: [0.5, 1, 1.25, 1.5, 2],
     controls: true,
     preload: "auto",
@@ -130,51 +165,157 @@ function initializePlayer() {
   });
 }
 
+/**
+ * Fetch from the API, sending the user to the login page when the session ended
+ */
+async function apiFetch(url, options = {}) {
+  const response = await fetch(url, {
+    credentials: "same-origin",
+    ...options,
+  });
+  if (response.status === 401) {
+    window.location.href = "/login.html";
+    throw new Error("Authentication required");
+  }
+  return response;
+}
+
+/**
+ * Show the logged in user and logout button
+ */
+async function loadCurrentUser() {
+  try {
+    const response = await apiFetch(`${API_BASE}/api/auth/me`);
+    const user = await response.json();
+    const shareControls = document.getElementById("share-controls");
+    if (!user.username) {
+      // Authentication disabled
+      shareControls.style.display = "flex";
+      return;
+    }
+
+    document.getElementById(
+      "user-name"
+    ).textContent = `${user.username} (${user.role})`;
+    document.getElementById("user-menu").style.display = "flex";
+    if (user.role !== "viewer") {
+      shareControls.style.display = "flex";
+    }
+  } catch (error) {
+    console.error("Error loading current user:", error);
+  }
+}
+
+/**
+ * Log out and return to the login page
+ */
+async function logout() {
+  try {
+    await apiFetch(`${API_BASE}/api/auth/logout`, { method: "POST" });
+  } catch (error) {
+    console.error("Error logging out:", error);
+  }
+  window.location.href = "/login.html";
+}
+
 /**
  * Load cameras from API
  */
 async function loadCameras() {
   try {
-    const response = await fetch(`${API_BASE}/api/cameras`);
+    const response = await apiFetch(`${API_BASE}/api/cameras`);
     cameras = await response.json();
 
+    // Select first camera by default
+    currentCameraId = cameras.length > 0 ? cameras[0].id : null;
+    renderCameraSelect();
+  } catch (error) {
+    console.error("Error loading cameras:", error);
     const select = document.getElementById("camera-select");
-    select.innerHTML = "";
+    select.innerHTML = '<option value="">Error loading cameras</option>';
+  }
+}
 
-    if (cameras.length === 0) {
-      select.innerHTML = '<option value="">No cameras available</option>';
-      return;
-    }
+/**
+ * Fill the camera dropdown and select the current camera
+ */
+function renderCameraSelect() {
+  const select = document.getElementById("camera-select");
+  select.innerHTML = "";
 
-    cameras.forEach((camera) => {
-      const option = document.createElement("option");
-      option.value = camera.id;
-      option.textContent = camera.name;
-      select.appendChild(option);
-    });
+  if (cameras.length === 0) {
+    select.innerHTML = '<option value="">No cameras available</option>';
+    return;
+  }
 
-    // Select first camera by default
-    if (cameras.length > 0) {
-      currentCameraId = cameras[0].id;
-      select.value = currentCameraId;
+  cameras.forEach((camera) => {
+    const option = document.createElement("option");
+    option.value = camera.id;
+    option.textContent = camera.name;
+    select.appendChild(option);
+  });
+  select.value = currentCameraId;
+}
+
+/**
+ * Reload the camera list and update the views when cameras were added,
+ * edited or removed on the server
+ */
+async function refreshCameras() {
+  try {
+    const response = await apiFetch(`${API_BASE}/api/cameras`);
+    const updated = await response.json();
+    if (JSON.stringify(updated) === JSON.stringify(cameras)) return;
+
+    const findCurrent = (list) =>
+      list.find((camera) => camera.id === currentCameraId);
+    // e.g. the camera switched to H.265 passthrough
+    let sourceChanged =
+      getUnsupportedCodecMessage(findCurrent(cameras)) !==
+      getUnsupportedCodecMessage(findCurrent(updated));
+
+    // e.g. the camera got an ABR ladder
+    const previousUrl = getLiveStreamUrl(currentCameraId);
+    cameras = updated;
+    if (getLiveStreamUrl(currentCameraId) !== previousUrl) {
+      sourceChanged = true;
+    }
+    const currentRemoved = !cameras.some(
+      (camera) => camera.id === currentCameraId
+    );
+    if (currentRemoved) {
+      currentCameraId = cameras.length > 0 ? cameras[0].id : null;
+    }
+    renderCameraSelect();
+
+    if (currentViewMode === "multi") {
+      initializeMultiView();
+    } else if ((currentRemoved || sourceChanged) && currentCameraId) {
+      updatePlayerSource(currentCameraId, currentRemoved ? null : playbackTime);
+    } else if (currentRemoved && player) {
+      player.reset();
+      updateStatus("disconnected", "No cameras available");
     }
   } catch (error) {
-    console.error("Error loading cameras:", error);
-    const select = document.getElementById("camera-select");
-    select.innerHTML = '<option value="">Error loading cameras</option>';
+    console.error("Error refreshing cameras:", error);
   }
 }
 
 /**
  * Update player source for a specific camera
+ * Plays live stream, or recorded footage starting at fromTime (epoch ms)
  */
-async function updatePlayerSource(cameraId) {
+async function updatePlayerSource(cameraId, fromTime = null) {
   if (!player) {
     console.error("Player not initialized");
     return;
   }
 
+  const loadId = ++playerLoads;
+
   // Stop current playback and disconnect audio/video completely
+  stopWebRtc();
+  stopMse();
   player.pause();
   player.currentTime(0);
   player.muted(true);
@@ -205,10 +346,53 @@ async function updatePlayerSource(cameraId) {
   // Small delay to ensure audio stops
   await new Promise((resolve) => setTimeout(resolve, 50));
 
-  const hlsUrl = `/api/stream/${cameraId}/playlist.m3u8`;
+  const hlsUrl =
+    fromTime !== null
+      ? `/api/recordings/${cameraId}?from=${fromTime}&to=${Date.now()}`
+      : getLiveStreamUrl(cameraId);
   console.log(`Setting player source to: ${hlsUrl}`);
 
+  const cameraChanged = cameraId !== currentCameraId;
   currentCameraId = cameraId;
+  playbackTime = fromTime;
+  updateTimelineLabel();
+  if (cameraChanged) {
+    loadTimeline(cameraId);
+  }
+
+  const unsupported = getUnsupportedCodecMessage(
+    cameras.find((camera) => camera.id === cameraId)
+  );
+  if (unsupported) {
+    player.reset();
+    updateStatus("error", "Codec not supported");
+    showError(unsupported);
+    return;
+  }
+
+  const camera = cameras.find((entry) => entry.id === cameraId);
+  if (
+    fromTime === null &&
+    camera &&
+    camera.webrtc &&
+    !webrtcFailed.has(cameraId)
+  ) {
+    const started = await startWebRtc(cameraId);
+    if (started || loadId !== playerLoads) {
+      return;
+    }
+    webrtcFailed.add(cameraId);
+    console.log(`WebRTC unavailable for ${cameraId}, falling back`);
+  }
+
+  if (fromTime === null && camera && camera.mse && !mseFailed.has(cameraId)) {
+    const started = await startMse(cameraId);
+    if (started || loadId !== playerLoads) {
+      return;
+    }
+    mseFailed.add(cameraId);
+    console.log(`MSE unavailable for ${cameraId}, falling back to HLS`);
+  }
 
   // Set source and load
   player.src({
@@ -243,6 +427,294 @@ async function updatePlayerSource(cameraId) {
   console.log(`Switched to camera: ${cameraId}`);
 }
 
+/**
+ * Play a camera's live stream over WebRTC in the single view
+ * Resolves true once video plays, false if the player should fall back to HLS
+ */
+async function startWebRtc(cameraId) {
+  const pc = new RTCPeerConnection();
+  const session = { pc, url: null };
+  webrtcSession = session;
+  updateStatus("connecting", "Connecting to stream (WebRTC)...");
+
+  try {
+    pc.addTransceiver("video", { direction: "recvonly" });
+    pc.addTransceiver("audio", { direction: "recvonly" });
+
+    const videoEl = document.getElementById("webrtc-player");
+    const stream = new MediaStream();
+    pc.ontrack = (event) => stream.addTrack(event.track);
+    videoEl.srcObject = stream;
+
+    await pc.setLocalDescription(await pc.createOffer());
+    await waitForIceGathering(pc);
+    if (webrtcSession !== session) return false;
+
+    const response = await apiFetch(
+      `${API_BASE}/api/cameras/${cameraId}/whep`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/sdp" },
+        body: pc.localDescription.sdp,
+      }
+    );
+    if (!response.ok) {
+      throw new Error(`WHEP request failed: ${response.status}`);
+    }
+    session.url = response.headers.get("Location");
+    const answer = await response.text();
+    if (webrtcSession !== session) {
+      closeWebRtcSession(session);
+      return false;
+    }
+    await pc.setRemoteDescription({ type: "answer", sdp: answer });
+
+    // Wait for the first frame
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => reject(new Error("No video received")),
+        WEBRTC_TIMEOUT_MS
+      );
+      videoEl.onloadeddata = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+    if (webrtcSession !== session) return false;
+
+    player.el().style.display = "none";
+    videoEl.style.display = "block";
+    videoEl.muted = false;
+    videoEl.play().catch(() => {
+      // Autoplay with sound blocked - play muted instead
+      videoEl.muted = true;
+      videoEl.play().catch((err) => console.log("Play error:", err));
+    });
+    updateStatus("connected", "Stream playing (WebRTC)");
+    hideError();
+    hideRetryButton();
+
+    pc.onconnectionstatechange = () => {
+      if (webrtcSession === session && pc.connectionState === "failed") {
+        // Connection lost mid-stream - continue over HLS
+        webrtcFailed.add(cameraId);
+        updatePlayerSource(cameraId);
+      }
+    };
+    return true;
+  } catch (error) {
+    console.error("WebRTC error:", error);
+    if (webrtcSession === session) {
+      stopWebRtc();
+    }
+    return false;
+  }
+}
+
+/**
+ * Wait until a peer connection gathered its ICE candidates (at most 2s)
+ */
+function waitForIceGathering(pc) {
+  if (pc.iceGatheringState === "complete") return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, 2000);
+    pc.addEventListener("icegatheringstatechange", () => {
+      if (pc.iceGatheringState === "complete") {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Stop WebRTC playback and show the Video.js player again
+ */
+function stopWebRtc() {
+  if (!webrtcSession) return;
+  closeWebRtcSession(webrtcSession);
+  webrtcSession = null;
+
+  const videoEl = document.getElementById("webrtc-player");
+  videoEl.onloadeddata = null;
+  videoEl.pause();
+  videoEl.srcObject = null;
+  videoEl.style.display = "none";
+  player.el().style.display = "";
+}
+
+/**
+ * Close a WebRTC peer connection and end its session on the server
+ */
+function closeWebRtcSession(session) {
+  session.pc.close();
+  if (session.url) {
+    apiFetch(`${API_BASE}${session.url}`, { method: "DELETE" }).catch((err) =>
+      console.error("Error ending WebRTC session:", err)
+    );
+  }
+}
+
+/**
+ * Play a camera's live fragmented MP4 from its WebSocket through MediaSource
+ * in the single view
+ * Resolves true once video plays, false if the player should fall back to HLS
+ */
+function startMse(cameraId) {
+  const MediaSourceType = window.ManagedMediaSource || window.MediaSource;
+  if (!MediaSourceType) return Promise.resolve(false);
+
+  const videoEl = document.getElementById("mse-player");
+  const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  const socket = new WebSocket(
+    `${protocol}//${
+      window.location.host
+    }${API_BASE}/api/cameras/${encodeURIComponent(cameraId)}/mse`
+  );
+  socket.binaryType = "arraybuffer";
+  const session = { socket, sourceBuffer: null, queue: [] };
+  mseSession = session;
+  updateStatus("connecting", "Connecting to stream (MSE)...");
+
+  return new Promise((resolve) => {
+    let started = false;
+    const timer = setTimeout(() => fail("No video received"), MSE_TIMEOUT_MS);
+    const fail = (reason) => {
+      clearTimeout(timer);
+      if (mseSession !== session) return resolve(false);
+      console.error("MSE error:", reason);
+      if (started) {
+        // Stream lost after playing - continue over HLS
+        mseFailed.add(cameraId);
+        updatePlayerSource(cameraId);
+      } else {
+        stopMse();
+        resolve(false);
+      }
+    };
+
+    socket.onmessage = (event) => {
+      if (mseSession !== session) return;
+      if (typeof event.data === "string") {
+        // MIME type of a new stream, followed by its init segment
+        if (!MediaSourceType.isTypeSupported(event.data)) {
+          fail(`Unsupported stream type ${event.data}`);
+          return;
+        }
+        openMediaSource(session, event.data, MediaSourceType);
+        return;
+      }
+      session.queue.push(event.data);
+      appendMseData(session);
+    };
+    socket.onclose = () => {
+      if (mseSession !== session) return;
+      if (!started) {
+        fail("Connection closed");
+        return;
+      }
+      updateStatus("disconnected", "Stream disconnected");
+      showRetryButton();
+    };
+
+    videoEl.onloadeddata = () => {
+      if (started || mseSession !== session) return;
+      started = true;
+      clearTimeout(timer);
+      player.el().style.display = "none";
+      videoEl.style.display = "block";
+      videoEl.muted = false;
+      videoEl.play().catch(() => {
+        // Autoplay with sound blocked - play muted instead
+        videoEl.muted = true;
+        videoEl.play().catch((err) => console.log("Play error:", err));
+      });
+      updateStatus("connected", "Stream playing (MSE)");
+      hideError();
+      hideRetryButton();
+      resolve(true);
+    };
+  });
+}
+
+/**
+ * Attach a new MediaSource for a stream of the given MIME type to the MSE
+ * player, dropping data of the previous stream
+ */
+function openMediaSource(session, mimeType, MediaSourceType) {
+  const videoEl = document.getElementById("mse-player");
+  const mediaSource = new MediaSourceType();
+  session.sourceBuffer = null;
+  session.queue = [];
+
+  videoEl.disableRemotePlayback = true; // Required by ManagedMediaSource
+  videoEl.src = URL.createObjectURL(mediaSource);
+  mediaSource.addEventListener(
+    "sourceopen",
+    () => {
+      URL.revokeObjectURL(videoEl.src);
+      if (mseSession !== session) return;
+      session.sourceBuffer = mediaSource.addSourceBuffer(mimeType);
+      session.sourceBuffer.addEventListener("updateend", () =>
+        appendMseData(session)
+      );
+      appendMseData(session);
+    },
+    { once: true }
+  );
+}
+
+/**
+ * Append the next queued data to the MSE player's buffer, keeping playback
+ * close to live and trimming video played long ago
+ */
+function appendMseData(session) {
+  const sourceBuffer = session.sourceBuffer;
+  if (!sourceBuffer || sourceBuffer.updating || mseSession !== session) return;
+
+  const videoEl = document.getElementById("mse-player");
+  const buffered = videoEl.buffered;
+  if (buffered.length > 0) {
+    const last = buffered.length - 1;
+    const end = buffered.end(last);
+    if (end - videoEl.currentTime > MSE_MAX_LATENCY) {
+      // Fell behind (or joined mid-stream) - jump close to live
+      videoEl.currentTime = Math.max(buffered.start(last), end - 0.5);
+    }
+    if (videoEl.currentTime - buffered.start(0) > MSE_BACK_BUFFER * 2) {
+      sourceBuffer.remove(
+        buffered.start(0),
+        videoEl.currentTime - MSE_BACK_BUFFER
+      );
+      return; // Appending continues on updateend
+    }
+  }
+
+  if (session.queue.length === 0) return;
+  try {
+    sourceBuffer.appendBuffer(session.queue.shift());
+  } catch (error) {
+    console.error("MSE append error:", error);
+  }
+}
+
+/**
+ * Stop MSE playback and show the Video.js player again
+ */
+function stopMse() {
+  if (!mseSession) return;
+  mseSession.socket.close();
+  mseSession = null;
+
+  const videoEl = document.getElementById("mse-player");
+  videoEl.onloadeddata = null;
+  videoEl.pause();
+  videoEl.removeAttribute("src");
+  videoEl.load();
+  videoEl.style.display = "none";
+  player.el().style.display = "";
+}
+
 /**
  * Setup event listeners for buttons
  */
@@ -291,6 +763,269 @@ function setupEventListeners() {
       refreshStream();
     });
   }
+
+  // Timeline scrubber for recorded footage
+  const scrubber = document.getElementById("timeline-scrubber");
+  const liveBtn = document.getElementById("live-btn");
+
+  if (scrubber) {
+    scrubber.addEventListener("input", () => {
+      // Preview the selected time while dragging
+      const label = document.getElementById("timeline-label");
+      label.textContent = isScrubberAtLive()
+        ? "Live"
+        : `Jump to ${formatTimelineTime(getScrubberTime())}`;
+    });
+    scrubber.addEventListener("change", () => {
+      if (!currentCameraId) return;
+      if (isScrubberAtLive()) {
+        goLive();
+      } else {
+        updatePlayerSource(currentCameraId, getScrubberTime());
+      }
+    });
+  }
+
+  if (liveBtn) {
+    liveBtn.addEventListener("click", () => {
+      goLive();
+    });
+  }
+
+  const logoutBtn = document.getElementById("logout-btn");
+  if (logoutBtn) {
+    logoutBtn.addEventListener("click", () => {
+      logout();
+    });
+  }
+
+  const clipBtn = document.getElementById("clip-btn");
+  if (clipBtn) {
+    clipBtn.addEventListener("click", () => {
+      downloadClip();
+    });
+  }
+
+  const shareBtn = document.getElementById("share-btn");
+  if (shareBtn) {
+    shareBtn.addEventListener("click", () => {
+      createShareLink();
+    });
+  }
+}
+
+/**
+ * Load recorded time ranges for a camera and render them on the timeline
+ */
+async function loadTimeline(cameraId) {
+  if (!cameraId) return;
+
+  timelineEnd = Date.now();
+  timelineStart = timelineEnd - TIMELINE_WINDOW_MS;
+
+  document.getElementById("timeline-start").textContent =
+    formatTimelineTime(timelineStart);
+  document.getElementById("timeline-end").textContent = "Now";
+
+  let ranges = [];
+  try {
+    const response = await apiFetch(
+      `${API_BASE}/api/recordings/${cameraId}/timeline?from=${timelineStart}&to=${timelineEnd}`
+    );
+    if (response.ok) {
+      const data = await response.json();
+      ranges = data.ranges;
+    }
+  } catch (error) {
+    console.error("Error loading recording timeline:", error);
+  }
+
+  // Ignore stale responses after switching camera
+  if (cameraId !== currentCameraId) return;
+
+  const rangesEl = document.getElementById("timeline-ranges");
+  rangesEl.innerHTML = "";
+  ranges.forEach((range) => {
+    const rangeEl = document.createElement("div");
+    rangeEl.className = "timeline-range";
+    const start = Math.max(range.start, timelineStart);
+    rangeEl.style.left = `${
+      ((start - timelineStart) / TIMELINE_WINDOW_MS) * 100
+    }%`;
+    rangeEl.style.width = `${
+      ((range.end - start) / TIMELINE_WINDOW_MS) * 100
+    }%`;
+    rangeEl.title = `${formatTimelineTime(range.start)} - ${formatTimelineTime(
+      range.end
+    )}`;
+    rangesEl.appendChild(rangeEl);
+  });
+
+  // Keep scrubber position in sync with what is playing
+  const scrubber = document.getElementById("timeline-scrubber");
+  scrubber.value =
+    playbackTime === null
+      ? scrubber.max
+      : Math.round((playbackTime - timelineStart) / 60000);
+}
+
+/**
+ * Refresh the timeline periodically so new recordings show up
+ */
+function startTimelineRefresh() {
+  loadTimeline(currentCameraId);
+  timelineInterval = setInterval(() => {
+    if (currentViewMode === "single") {
+      loadTimeline(currentCameraId);
+    }
+  }, 60000); // Refresh every minute
+}
+
+/**
+ * Return from recorded footage to the live stream
+ */
+function goLive() {
+  if (currentCameraId && playbackTime !== null) {
+    updatePlayerSource(currentCameraId);
+  } else {
+    updateTimelineLabel();
+  }
+}
+
+/**
+ * Update timeline label and live button for the current playback mode
+ */
+function updateTimelineLabel() {
+  const label = document.getElementById("timeline-label");
+  const liveBtn = document.getElementById("live-btn");
+  if (playbackTime === null) {
+    const scrubber = document.getElementById("timeline-scrubber");
+    scrubber.value = scrubber.max;
+    label.textContent = "Live";
+    liveBtn.disabled = true;
+  } else {
+    label.textContent = `Playback from ${formatTimelineTime(playbackTime)}`;
+    liveBtn.disabled = false;
+  }
+}
+
+/**
+ * Download an MP4 clip of the current camera
+ * Live: the last N seconds. Playback: N seconds from the current position
+ */
+async function downloadClip() {
+  if (!currentCameraId) return;
+
+  const clipBtn = document.getElementById("clip-btn");
+  const duration =
+    parseInt(document.getElementById("clip-duration").value, 10) * 1000;
+
+  let from;
+  let to;
+  if (playbackTime !== null) {
+    from = playbackTime + Math.floor(player.currentTime() * 1000);
+    to = from + duration;
+  } else {
+    to = Date.now();
+    from = to - duration;
+  }
+
+  clipBtn.disabled = true;
+  clipBtn.textContent = "Exporting...";
+  try {
+    const response = await apiFetch(
+      `${API_BASE}/api/recordings/${currentCameraId}/clip.mp4?from=${from}&to=${to}`
+    );
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `Export failed (${response.status})`);
+    }
+
+    // Save the clip through a temporary link
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${currentCameraId}_${new Date(from)
+      .toISOString()
+      .replace(/[:.]/g, "-")}.mp4`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error("Error downloading clip:", error);
+    showError(`Could not export clip: ${error.message}`);
+  } finally {
+    clipBtn.disabled = false;
+    clipBtn.textContent = "Download Clip";
+  }
+}
+
+/**
+ * Create an expiring share link for the current camera and show it for copying
+ */
+async function createShareLink() {
+  if (!currentCameraId) return;
+
+  const shareBtn = document.getElementById("share-btn");
+  const expiresIn = parseInt(
+    document.getElementById("share-duration").value,
+    10
+  );
+
+  shareBtn.disabled = true;
+  try {
+    const response = await apiFetch(
+      `${API_BASE}/api/cameras/${currentCameraId}/share`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ expiresIn: expiresIn }),
+      }
+    );
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    window.prompt(
+      `Share link (expires ${formatTimelineTime(data.expiresAt)}):`,
+      data.url
+    );
+  } catch (error) {
+    console.error("Error creating share link:", error);
+    showError(`Could not create share link: ${error.message}`);
+  } finally {
+    shareBtn.disabled = false;
+  }
+}
+
+/**
+ * Get the time selected on the timeline scrubber (epoch ms)
+ */
+function getScrubberTime() {
+  const scrubber = document.getElementById("timeline-scrubber");
+  return timelineStart + parseInt(scrubber.value, 10) * 60000;
+}
+
+/**
+ * Check whether the timeline scrubber is at the live edge
+ */
+function isScrubberAtLive() {
+  const scrubber = document.getElementById("timeline-scrubber");
+  return parseInt(scrubber.value, 10) >= parseInt(scrubber.max, 10);
+}
+
+/**
+ * Format a timeline timestamp for display
+ */
+function formatTimelineTime(timestamp) {
+  return new Date(timestamp).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
 }
 
 /**
@@ -335,6 +1070,8 @@ function switchViewMode(mode) {
     }
 
     // Pause single view player
+    stopWebRtc();
+    stopMse();
     if (player && !player.isDisposed()) {
       player.pause();
     }
@@ -395,6 +1132,7 @@ function initializeMultiView() {
     const label = document.createElement("div");
     label.className = "camera-label";
     label.innerHTML = `
+      <span class="status-dot" id="camera-status-${camera.id}"></span>
       <span>${camera.name}</span>
       <button class="camera-info-btn" data-camera-id="${camera.id}" title="Camera Info">
         ℹ️ Info
@@ -419,6 +1157,11 @@ function initializeMultiView() {
 
     camerasGrid.appendChild(cameraItem);
 
+    const status = cameraStatuses.get(camera.id);
+    if (status) {
+      applyCameraStatus(status);
+    }
+
     // Initialize Video.js player for this camera
     const cameraPlayer = videojs(`video-player-${camera.id}`, {
       fluid: false,
@@ -427,6 +1170,9 @@ function initializeMultiView() {
       html5: {
         vhs: {
           overrideNative: true,
+          limitRenditionByPlayerDimensions: true,
+          useDevicePixelRatio: true,
+          llhls: true, // Full screen tiles play the main stream
         },
         nativeVideoTracks: false,
         nativeAudioTracks: false,
@@ -437,24 +1183,84 @@ function initializeMultiView() {
       muted: true, // Mute all in multi-view to avoid audio conflicts
     });
 
+    multiViewPlayers.set(camera.id, cameraPlayer);
+
+    // Tiles play the low-resolution sub stream when the camera has one
+    const tileCamera = camera.subStream
+      ? { ...camera, videoCodec: camera.subStream.videoCodec }
+      : camera;
+    const unsupported = getUnsupportedCodecMessage(tileCamera);
+    if (unsupported) {
+      cameraPlayer.error({ code: 4, message: unsupported });
+      return;
+    }
+
     // Set source
-    const hlsUrl = `/api/stream/${camera.id}/playlist.m3u8`;
+    const hlsUrl = camera.subStream
+      ? `/api/stream/${camera.id}/sub/playlist.m3u8`
+      : getLiveStreamUrl(camera.id);
     cameraPlayer.src({
       src: hlsUrl,
       type: "application/x-mpegURL",
     });
 
+    // Maximized tiles switch to the main stream for full resolution
+    if (camera.subStream && !getUnsupportedCodecMessage(camera)) {
+      cameraPlayer.on("fullscreenchange", () => {
+        cameraPlayer.src({
+          src: cameraPlayer.isFullscreen()
+            ? getLiveStreamUrl(camera.id)
+            : hlsUrl,
+          type: "application/x-mpegURL",
+        });
+        cameraPlayer.play().catch((err) => {
+          console.log(`Autoplay prevented for ${camera.name}:`, err);
+        });
+      });
+    }
+
     cameraPlayer.ready(() => {
       cameraPlayer.load();
       cameraPlayer.play().catch((err) => {
         console.log(`Autoplay prevented for ${camera.name}:`, err);
       });
     });
-
-    multiViewPlayers.set(camera.id, cameraPlayer);
   });
 }
 
+/**
+ * Check whether the browser can play H.265/HEVC in fMP4 segments
+ */
+function supportsHevc() {
+  const MediaSourceType = window.ManagedMediaSource || window.MediaSource;
+  return (
+    !!MediaSourceType &&
+    MediaSourceType.isTypeSupported('video/mp4; codecs="hvc1.1.6.L93.B0"')
+  );
+}
+
+/**
+ * Get the live playlist URL of a camera
+ * Cameras with an ABR ladder get the master playlist so the player can
+ * switch renditions
+ */
+function getLiveStreamUrl(cameraId) {
+  const camera = cameras.find((entry) => entry.id === cameraId);
+  const playlist =
+    camera && camera.renditions ? "master.m3u8" : "playlist.m3u8";
+  return `/api/stream/${cameraId}/${playlist}`;
+}
+
+/**
+ * Explain why the browser can't play a camera's live stream, or return null
+ */
+function getUnsupportedCodecMessage(camera) {
+  if (camera && camera.videoCodec === "hevc" && !supportsHevc()) {
+    return `${camera.name} streams H.265 (HEVC), which this browser can't play. Use a browser with HEVC support (e.g. Safari or Edge) or set the camera's videoMode to "reencode".`;
+  }
+  return null;
+}
+
 /**
  * Show camera information modal
  */
@@ -546,10 +1352,124 @@ function showCameraInfo(camera) {
     `
         : ""
     }
+    <h3 class="camera-info-section">Diagnostics</h3>
+    <div id="camera-diagnostics">Loading...</div>
   `;
+  infoBody.dataset.cameraId = camera.id;
 
   // Show modal
   modal.classList.add("active");
+  loadCameraDiagnostics(camera.id);
+}
+
+/**
+ * Load stream diagnostics into the camera info modal
+ */
+async function loadCameraDiagnostics(cameraId) {
+  let html;
+  try {
+    const response = await apiFetch(
+      `${API_BASE}/api/cameras/${cameraId}/diagnostics`
+    );
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to load diagnostics");
+    }
+
+    const input = data.input;
+    const items = [
+      [
+        "Stream Status",
+        data.message
+          ? `${data.status} (${escapeHtml(data.message)})`
+          : data.status,
+      ],
+      [
+        "Uptime",
+        data.isStreaming ? formatDuration(data.uptime) : "Not running",
+      ],
+      ["Restarts", data.restarts],
+      ["Input Codec", input && input.videoCodec ? input.videoCodec : "N/A"],
+      [
+        "Resolution",
+        input && input.width ? `${input.width}x${input.height}` : "N/A",
+      ],
+      ["Input FPS", input && input.fps ? input.fps : "N/A"],
+      [
+        "Output FPS",
+        data.output
+          ? `${data.output.fps} (speed ${
+              data.output.speed !== null ? `${data.output.speed}x` : "N/A"
+            })`
+          : "N/A",
+      ],
+      [
+        "Audio Streams",
+        input && input.audioStreams.length > 0
+          ? input.audioStreams
+              .map(
+                (audio) =>
+                  `#${audio.stream} ${audio.codec}${
+                    audio.sampleRate ? `, ${audio.sampleRate} Hz` : ""
+                  }${audio.channels ? `, ${audio.channels}` : ""}`
+              )
+              .join("<br>")
+          : "None",
+      ],
+      [
+        "Bitrate",
+        data.bitrate ? `${Math.round(data.bitrate / 1000)} kbit/s` : "N/A",
+      ],
+      [
+        "Last Error",
+        data.lastError
+          ? `${escapeHtml(data.lastError.message)}<br><small>${new Date(
+              data.lastError.time
+            ).toLocaleString()}</small>`
+          : "None",
+      ],
+    ];
+    html = items
+      .map(
+        ([label, value]) => `
+    <div class="camera-info-item">
+      <label>${label}:</label>
+      <div class="value">${value}</div>
+    </div>`
+      )
+      .join("");
+  } catch (error) {
+    console.error("Error loading diagnostics:", error);
+    html = `<div class="camera-info-item">${escapeHtml(error.message)}</div>`;
+  }
+
+  // Skip if the modal was opened for another camera meanwhile
+  const infoBody = document.getElementById("camera-info-body");
+  const container = document.getElementById("camera-diagnostics");
+  if (container && infoBody.dataset.cameraId === cameraId) {
+    container.innerHTML = html;
+  }
+}
+
+/**
+ * Format a number of seconds as e.g. "2d 3h 4m" or "5m 10s"
+ */
+function formatDuration(seconds) {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds % 60}s`;
+}
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
 }
 
 /**
@@ -593,13 +1513,23 @@ function handlePlayerError(error) {
 function retryConnection() {
   if (isRetrying) return;
 
+  // Reconnect WebRTC or MSE rather than loading HLS under their video
+  if ((webrtcSession || mseSession) && playbackTime === null) {
+    hideError();
+    updatePlayerSource(currentCameraId);
+    return;
+  }
+
   isRetrying = true;
   updateStatus("reconnecting", "Retrying connection...");
   hideError();
 
   // Reload the player source for current camera
   if (currentCameraId) {
-    const hlsUrl = `/api/stream/${currentCameraId}/playlist.m3u8?t=${Date.now()}`;
+    const hlsUrl =
+      playbackTime !== null
+        ? `/api/recordings/${currentCameraId}?from=${playbackTime}&t=${Date.now()}`
+        : `${getLiveStreamUrl(currentCameraId)}?t=${Date.now()}`;
     player.src({
       src: hlsUrl,
       type: "application/x-mpegURL",
@@ -647,7 +1577,7 @@ async function checkStreamStatus() {
     const url = cameraId
       ? `${API_BASE}/api/stream/status?cameraId=${cameraId}`
       : `${API_BASE}/api/stream/status`;
-    const response = await fetch(url);
+    const response = await apiFetch(url);
     const data = await response.json();
 
     if (!data.isStreaming && player.readyState() === 0) {
@@ -660,19 +1590,87 @@ async function checkStreamStatus() {
 }
 
 /**
- * Start monitoring stream status periodically
+ * Receive stream status changes and camera list changes from the server
  */
-function startStatusMonitoring() {
-  statusCheckInterval = setInterval(() => {
-    checkStreamStatus();
-  }, 5000); // Check every 5 seconds
+function connectStatusEvents() {
+  statusEvents = new EventSource(`${API_BASE}/api/status/events`);
+
+  statusEvents.addEventListener("status", (event) => {
+    const status = JSON.parse(event.data);
+    cameraStatuses.set(status.cameraId, status);
+    applyCameraStatus(status);
+  });
+
+  statusEvents.addEventListener("cameras", () => {
+    refreshCameras();
+  });
+
+  statusEvents.addEventListener("error", () => {
+    // EventSource retries by itself unless the server refused the request
+    if (statusEvents.readyState !== EventSource.CLOSED) return;
+    checkStreamStatus(); // Redirects to the login page when signed out
+    setTimeout(connectStatusEvents, 5000);
+  });
+}
+
+/**
+ * Show a camera's stream status on its multi-view tile and, for the
+ * current camera, in the header
+ */
+function applyCameraStatus(status) {
+  const tileDot = document.getElementById(`camera-status-${status.cameraId}`);
+  if (tileDot) {
+    tileDot.classList.remove("connected", "disconnected", "reconnecting");
+    if (status.status === "streaming") {
+      tileDot.classList.add("connected");
+    } else if (status.status === "reconnecting") {
+      tileDot.classList.add("reconnecting");
+    } else {
+      tileDot.classList.add("disconnected");
+    }
+    tileDot.title = status.message || status.status;
+  }
+
+  if (
+    currentViewMode !== "single" ||
+    status.cameraId !== currentCameraId ||
+    playbackTime !== null
+  ) {
+    return;
+  }
+
+  switch (status.status) {
+    case "error":
+    case "stalled":
+      updateStatus("error", status.message);
+      showRetryButton();
+      break;
+    case "reconnecting":
+      updateStatus(
+        "reconnecting",
+        `Camera reconnecting (attempt ${status.reconnectAttempts})`
+      );
+      break;
+    case "stopped":
+    case "idle":
+    case "ended":
+      updateStatus("disconnected", status.message || "Stream stopped");
+      showRetryButton();
+      break;
+    case "streaming":
+      // Stream came back while the player had given up
+      if (player && player.error()) {
+        retryConnection();
+      }
+      break;
+  }
 }
 
 /**
  * Update status indicator
  */
 function updateStatus(status, message) {
-  const statusDot = document.querySelector(".status-dot");
+  const statusDot = document.querySelector("#status-indicator .status-dot");
   const statusText = document.getElementById("status-text");
 
   // Remove all status classes
@@ -737,8 +1735,11 @@ window.addEventListener("beforeunload", () => {
   if (retryTimeout) {
     clearTimeout(retryTimeout);
   }
-  if (statusCheckInterval) {
-    clearInterval(statusCheckInterval);
+  if (statusEvents) {
+    statusEvents.close();
+  }
+  if (timelineInterval) {
+    clearInterval(timelineInterval);
   }
   if (player && !player.isDisposed()) {
     player.dispose();
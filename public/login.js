@@ -0,0 +1,42 @@
+// Initialize when DOM is ready
+document.addEventListener("DOMContentLoaded", () => {
+  const form = document.getElementById("login-form");
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    login();
+  });
+});
+
+/**
+ * Log in with the entered credentials and open the viewer
+ */
+async function login() {
+  const loginBtn = document.getElementById("login-btn");
+  const errorEl = document.getElementById("error-message");
+
+  loginBtn.disabled = true;
+  errorEl.style.display = "none";
+
+  try {
+    const response = await fetch("/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        username: document.getElementById("username").value,
+        password: document.getElementById("password").value,
+      }),
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || "Login failed");
+    }
+
+    window.location.href = "/";
+  } catch (error) {
+    errorEl.textContent = error.message;
+    errorEl.style.display = "block";
+  } finally {
+    loginBtn.disabled = false;
+  }
+}
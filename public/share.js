@@ -0,0 +1,105 @@
+// Viewer for a single camera opened through a share link
+// (share.html?camera=<cameraId>&share=<token>)
+let player;
+let expiryTimeout = null;
+
+// Initialize when DOM is ready
+document.addEventListener("DOMContentLoaded", () => {
+  const params = new URLSearchParams(window.location.search);
+  const cameraId = params.get("camera");
+  const token = params.get("share");
+
+  if (!cameraId || !token) {
+    showError("This share link is incomplete.");
+    return;
+  }
+  loadSharedCamera(cameraId, token);
+});
+
+/**
+ * Check the share link and start playing the camera
+ */
+async function loadSharedCamera(cameraId, token) {
+  const query = `share=${encodeURIComponent(token)}`;
+  const cameraPath = encodeURIComponent(cameraId);
+
+  try {
+    const response = await fetch(`/api/share/${cameraPath}?${query}`);
+    if (response.status === 401 || response.status === 403) {
+      showError("This share link is invalid or has expired.");
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(`Request failed (${response.status})`);
+    }
+    const camera = await response.json();
+
+    document.title = `Camera Viewer - ${camera.cameraName}`;
+    document.getElementById(
+      "camera-name"
+    ).textContent = `🎥 ${camera.cameraName}`;
+    if (camera.expiresAt) {
+      document.getElementById(
+        "share-expiry"
+      ).textContent = `Link expires ${new Date(
+        camera.expiresAt
+      ).toLocaleString()}`;
+      scheduleExpiry(camera.expiresAt);
+    }
+
+    player = videojs("video-player", {
+      aspectRatio: "16:9",
+      html5: {
+        vhs: {
+          overrideNative: true,
+        },
+      },
+      controls: true,
+      autoplay: "muted",
+      liveui: true,
+    });
+    // Cameras with an ABR ladder let the player switch renditions
+    const playlist = camera.renditions ? "master.m3u8" : "playlist.m3u8";
+    player.src({
+      src: `/api/stream/${cameraPath}/${playlist}?${query}`,
+      type: "application/x-mpegURL",
+    });
+  } catch (error) {
+    console.error("Error loading shared camera:", error);
+    showError(`Could not load the shared camera: ${error.message}`);
+  }
+}
+
+/**
+ * Stop playback when the link expires
+ */
+function scheduleExpiry(expiresAt) {
+  // setTimeout can't wait longer than ~24.8 days
+  const delay = Math.min(expiresAt - Date.now(), 2147483647);
+  expiryTimeout = setTimeout(() => {
+    if (player) {
+      player.dispose();
+      player = null;
+    }
+    showError("This share link has expired.");
+  }, Math.max(delay, 0));
+}
+
+/**
+ * Show error message
+ */
+function showError(message) {
+  const errorEl = document.getElementById("error-message");
+  errorEl.textContent = message;
+  errorEl.style.display = "block";
+}
+
+// Cleanup on page unload
+window.addEventListener("beforeunload", () => {
+  if (expiryTimeout) {
+    clearTimeout(expiryTimeout);
+  }
+  if (player) {
+    player.dispose();
+  }
+});
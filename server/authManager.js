@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const config = require("./config");
+
+const SESSION_COOKIE = "rtsp_viewer_session";
+
+// Paths reachable without logging in
+const PUBLIC_PATHS = new Set([
+  "/login.html",
+  "/login.js",
+  "/share.html",
+  "/share.js",
+  "/style.css",
+  "/favicon.ico",
+  "/api/auth/login",
+  "/api/health",
+]);
+
+// Paths reachable with a share token for the camera in the path
+const SHARE_PATHS = [
+  /^\/api\/share\/([^/]+)$/,
+  /^\/api\/stream\/([^/]+)\/(playlist|master|sub\/playlist)\.m3u8$/,
+  // Files anywhere in the camera's HLS directory (sub stream, ABR
+  // renditions), with plain names so ".." can't lead to another camera
+  /^\/hls\/([^/]+)\/(?:[\w-]+\/)*[\w-]+\.\w+$/,
+  /^\/api\/cameras\/([^/]+)\/mjpeg$/,
+];
+
+/**
+ * Parse the Cookie header of a request
+ */
+function parseCookies(req) {
+  const cookies = {};
+  (req.headers.cookie || "").split(";").forEach((pair) => {
+    const index = pair.indexOf("=");
+    if (index < 0) return;
+    const name = pair.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (e) {
+      // Ignore malformed cookie values
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Session cookies for the web UI and bearer tokens for API clients
+ */
+class AuthManager {
+  constructor(userStore, shareLinkManager) {
+    this.userStore = userStore;
+    this.shareLinkManager = shareLinkManager;
+    this.sessions = new Map(); // Map of session ID -> { username, passwordHash, expiresAt }
+    this.failedLogins = new Map(); // Map of client IP -> { count, resetAt }
+  }
+
+  /**
+   * Resolve the user of a request from its session cookie or bearer token
+   */
+  authenticate(req) {
+    const header = req.headers.authorization || "";
+    if (header.startsWith("Bearer ")) {
+      return this.userStore.verifyToken(header.slice("Bearer ".length).trim());
+    }
+
+    const sessionId = parseCookies(req)[SESSION_COOKIE];
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+    if (!session) return null;
+    // Sessions end when they expire and when the user is deleted or changes
+    // password, also when that's done with the CLI in another process
+    const user = this.userStore.getUser(session.username);
+    if (
+      session.expiresAt < Date.now() ||
+      !user ||
+      user.passwordHash !== session.passwordHash
+    ) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+    return user;
+  }
+
+  /**
+   * Resolve a share token (?share=) on a share path to a guest viewer
+   * limited to the shared camera
+   */
+  authenticateShare(req) {
+    if (!req.query.share) return null;
+
+    for (const pattern of SHARE_PATHS) {
+      const match = req.path.match(pattern);
+      if (!match) continue;
+
+      let cameraId;
+      try {
+        cameraId = decodeURIComponent(match[1]);
+      } catch (e) {
+        return null;
+      }
+      const expiresAt = this.shareLinkManager.verify(cameraId, req.query.share);
+      if (!expiresAt) return null;
+      return {
+        username: null,
+        role: "viewer",
+        cameras: [cameraId],
+        share: { cameraId: cameraId, expiresAt: expiresAt },
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Express middleware protecting every route except the login page
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!config.auth.enabled) {
+        return next();
+      }
+
+      req.user = this.authenticate(req) || this.authenticateShare(req);
+      if (req.user || PUBLIC_PATHS.has(req.path)) {
+        return next();
+      }
+
+      // Send browsers to the login page, API clients get a 401
+      const isPage =
+        req.method === "GET" &&
+        !req.path.startsWith("/api/") &&
+        req.accepts(["json", "html"]) === "html";
+      if (isPage) {
+        return res.redirect("/login.html");
+      }
+      res.status(401).json({ error: "Authentication required" });
+    };
+  }
+
+  /**
+   * Log in with username and password, setting the session cookie
+   * Resolves with the user, or null on invalid credentials
+   */
+  async login(req, res, username, password) {
+    const user = await this.userStore.verifyPassword(username, password);
+    if (!user) return null;
+
+    this._pruneSessions();
+    const sessionId = crypto.randomBytes(32).toString("hex");
+    this.sessions.set(sessionId, {
+      username: user.username,
+      passwordHash: user.passwordHash,
+      expiresAt: Date.now() + config.auth.sessionTtlHours * 60 * 60 * 1000,
+    });
+    res.cookie(SESSION_COOKIE, sessionId, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: config.auth.secureCookies,
+      maxAge: config.auth.sessionTtlHours * 60 * 60 * 1000,
+    });
+    return user;
+  }
+
+  /**
+   * End the session of a request and clear the cookie
+   */
+  logout(req, res) {
+    const sessionId = parseCookies(req)[SESSION_COOKIE];
+    if (sessionId) {
+      this.sessions.delete(sessionId);
+    }
+    res.clearCookie(SESSION_COOKIE);
+  }
+
+  /**
+   * Check whether a client IP has too many recent failed logins
+   */
+  isLoginThrottled(ip) {
+    const entry = this.failedLogins.get(ip);
+    if (!entry) return false;
+    if (entry.resetAt < Date.now()) {
+      this.failedLogins.delete(ip);
+      return false;
+    }
+    return entry.count >= config.auth.maxFailedLogins;
+  }
+
+  /**
+   * Record a failed login attempt from a client IP
+   */
+  recordFailedLogin(ip) {
+    const entry = this.failedLogins.get(ip);
+    if (!entry || entry.resetAt < Date.now()) {
+      this.failedLogins.set(ip, {
+        count: 1,
+        resetAt: Date.now() + 15 * 60 * 1000, // Window of 15 minutes
+      });
+    } else {
+      entry.count++;
+    }
+  }
+
+  /**
+   * Remove expired sessions
+   */
+  _pruneSessions() {
+    const now = Date.now();
+    this.sessions.forEach((session, sessionId) => {
+      if (session.expiresAt < now) {
+        this.sessions.delete(sessionId);
+      }
+    });
+  }
+}
+
+module.exports = AuthManager;
@@ -0,0 +1,131 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+// Looked up in this order when CAMERAS_FILE is not set
+const DEFAULT_CAMERAS_FILES = [
+  "./cameras.yaml",
+  "./cameras.yml",
+  "./cameras.json",
+];
+
+/**
+ * Resolve the cameras file: the configured path, an existing default file,
+ * or ./cameras.json for saving cameras added through the API
+ */
+function findCamerasFile(configuredPath) {
+  if (configuredPath) {
+    return path.resolve(configuredPath);
+  }
+  const existing = DEFAULT_CAMERAS_FILES.find((file) =>
+    fs.existsSync(path.resolve(file))
+  );
+  return path.resolve(existing || "./cameras.json");
+}
+
+/**
+ * Check whether a cameras file is YAML (by extension)
+ */
+function isYamlFile(filePath) {
+  return /\.ya?ml$/i.test(filePath);
+}
+
+/**
+ * Read cameras from a YAML or JSON file
+ * Accepts a list of cameras or an object with a "cameras" list
+ */
+function readCamerasFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  const data = isYamlFile(filePath) ? YAML.parse(content) : JSON.parse(content);
+  const cameras = Array.isArray(data) ? data : data && data.cameras;
+  if (!Array.isArray(cameras)) {
+    throw new Error(
+      'Cameras file must contain a list of cameras or a "cameras" list'
+    );
+  }
+  return cameras;
+}
+
+/**
+ * Update the camera list in a YAML document in place, so comments and
+ * formatting of the cameras and fields that didn't change survive
+ */
+function updateYamlDocument(doc, cameras) {
+  const list = YAML.isSeq(doc.contents)
+    ? doc.contents
+    : YAML.isMap(doc.contents)
+    ? doc.get("cameras", true)
+    : null;
+  if (!YAML.isSeq(list)) {
+    doc.contents = doc.createNode({ cameras: cameras });
+    return;
+  }
+
+  // Comments above the first camera stay at the top of the list, as they
+  // do under a "cameras" key
+  const first = list.items[0];
+  if (first && first.commentBefore) {
+    list.commentBefore = [list.commentBefore, first.commentBefore]
+      .filter(Boolean)
+      .join("\n");
+    first.commentBefore = undefined;
+  }
+
+  const existing = new Map();
+  list.items.forEach((item) => {
+    if (YAML.isMap(item)) existing.set(item.get("id"), item);
+  });
+  list.items = cameras.map((camera) => {
+    const item = existing.get(camera.id);
+    if (!item) return doc.createNode(camera);
+
+    const previous = item.toJSON();
+    Object.keys(previous)
+      .filter((field) => !(field in camera))
+      .forEach((field) => item.delete(field));
+    Object.keys(camera)
+      .filter(
+        (field) =>
+          JSON.stringify(previous[field]) !== JSON.stringify(camera[field])
+      )
+      .forEach((field) => item.set(field, doc.createNode(camera[field])));
+    return item;
+  });
+}
+
+/**
+ * Write cameras to a YAML or JSON file (readable by the owner only,
+ * RTSP URLs contain credentials)
+ * An existing YAML file is updated in place, keeping its comments
+ */
+function writeCamerasFile(filePath, cameras) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  let content;
+  if (isYamlFile(filePath)) {
+    let doc = fs.existsSync(filePath)
+      ? YAML.parseDocument(fs.readFileSync(filePath, "utf8"))
+      : new YAML.Document();
+    if (doc.errors.length > 0) {
+      // Broken by an edit since it was loaded - start over
+      doc = new YAML.Document();
+    }
+    updateYamlDocument(doc, cameras);
+    content = doc.toString();
+  } else {
+    content = JSON.stringify(cameras, null, 2) + "\n";
+  }
+
+  // Write to a temporary file first so a crash can't leave a partial file
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, content, { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+  findCamerasFile,
+  readCamerasFile,
+  writeCamerasFile,
+};
@@ -0,0 +1,219 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const config = require("./config");
+const { readCamerasFile, writeCamerasFile } = require("./cameraFile");
+const { validateCameras, formatIssue } = require("./configValidator");
+
+/**
+ * Keeps config.cameras in sync with the cameras file so cameras added,
+ * edited or removed at runtime survive restarts, and applies edits made
+ * to the file while the server is running
+ * Emits "change" with { added, updated, removed } after reloading the file
+ */
+class CameraStore extends EventEmitter {
+  constructor(filePath = config.camerasFile) {
+    super();
+    this.filePath = filePath;
+    this.savedMtime = 0;
+    this._onFileChange = this._onFileChange.bind(this);
+  }
+
+  /**
+   * Start watching the cameras file for changes
+   */
+  start() {
+    // Polling also notices editors that replace the file instead of writing it
+    fs.watchFile(
+      this.filePath,
+      { interval: config.camerasWatchInterval },
+      this._onFileChange
+    );
+  }
+
+  /**
+   * Stop watching the cameras file
+   */
+  stop() {
+    fs.unwatchFile(this.filePath, this._onFileChange);
+  }
+
+  /**
+   * Add a camera and persist the camera list
+   */
+  add(camera) {
+    const cameras = [...config.cameras, camera];
+    this._validate(cameras);
+    config.cameras.push(camera);
+    this.save();
+    return camera;
+  }
+
+  /**
+   * Update fields of a camera (fields set to null are removed)
+   */
+  update(cameraId, changes) {
+    if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+      throw new Error("Camera must be a JSON object");
+    }
+    const index = config.cameras.findIndex((camera) => camera.id === cameraId);
+    if (index < 0) {
+      throw new Error(`Camera ${cameraId} not found`);
+    }
+
+    const existing = config.cameras[index];
+    const merged = { ...existing, ...changes, id: cameraId };
+    // Keep the password when the masked URL from the API is sent back
+    const publicCamera = this.toPublicCamera(existing);
+    ["rtspUrl", "subRtspUrl"].forEach((field) => {
+      if (merged[field] && merged[field] === publicCamera[field]) {
+        merged[field] = existing[field];
+      }
+    });
+    Object.keys(merged).forEach((key) => {
+      if (merged[key] === null) delete merged[key];
+    });
+
+    const cameras = [...config.cameras];
+    cameras[index] = merged;
+    this._validate(cameras);
+    config.cameras[index] = merged;
+    this.save();
+    return merged;
+  }
+
+  /**
+   * Remove a camera and persist the camera list
+   */
+  remove(cameraId) {
+    const index = config.cameras.findIndex((camera) => camera.id === cameraId);
+    if (index < 0) {
+      throw new Error(`Camera ${cameraId} not found`);
+    }
+    const [removed] = config.cameras.splice(index, 1);
+    this.save();
+    return removed;
+  }
+
+  /**
+   * Get a camera by ID
+   */
+  get(cameraId) {
+    return config.cameras.find((camera) => camera.id === cameraId) || null;
+  }
+
+  /**
+   * Write the camera list to the cameras file
+   */
+  save() {
+    writeCamerasFile(this.filePath, config.cameras);
+    this.savedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Camera settings with the RTSP passwords masked, for API responses
+   */
+  toPublicCamera(camera) {
+    const publicCamera = {
+      ...camera,
+      rtspUrl: camera.rtspUrl.replace(/:[^:@]+@/, ":****@"),
+    };
+    if (camera.subRtspUrl) {
+      publicCamera.subRtspUrl = camera.subRtspUrl.replace(/:[^:@]+@/, ":****@");
+    }
+    return publicCamera;
+  }
+
+  /**
+   * Reload the cameras file and apply the differences to config.cameras
+   * Invalid files are reported and ignored, keeping the running cameras
+   */
+  reload() {
+    let cameras;
+    try {
+      cameras = readCamerasFile(this.filePath);
+    } catch (err) {
+      console.error(`Ignoring changes to ${this.filePath}: ${err.message}`);
+      return;
+    }
+
+    const { errors, warnings } = validateCameras(cameras, config.ffmpeg);
+    warnings.forEach((warning) =>
+      console.warn(`Warning: ${formatIssue(warning)}`)
+    );
+    if (errors.length > 0) {
+      console.error(
+        `Ignoring changes to ${this.filePath}:\n  ${errors
+          .map(formatIssue)
+          .join("\n  ")}`
+      );
+      return;
+    }
+
+    const previous = new Map(
+      config.cameras.map((camera) => [camera.id, camera])
+    );
+    const changes = { added: [], updated: [], removed: [] };
+    cameras.forEach((camera) => {
+      const existing = previous.get(camera.id);
+      if (!existing) {
+        changes.added.push(camera);
+      } else if (!this._isSameCamera(existing, camera)) {
+        changes.updated.push(camera);
+      }
+      previous.delete(camera.id);
+    });
+    changes.removed = Array.from(previous.keys());
+
+    // Replace in place - other modules hold a reference to config.cameras
+    config.cameras.splice(0, config.cameras.length, ...cameras);
+
+    if (
+      changes.added.length > 0 ||
+      changes.updated.length > 0 ||
+      changes.removed.length > 0
+    ) {
+      console.log(
+        `Reloaded ${this.filePath}: ${changes.added.length} added, ${changes.updated.length} changed, ${changes.removed.length} removed`
+      );
+      this.emit("change", changes);
+    }
+  }
+
+  /**
+   * Reload the cameras file when it was changed by something else
+   */
+  _onFileChange(current) {
+    // mtimeMs is 0 when the file was deleted
+    if (current.mtimeMs === 0 || current.mtimeMs === this.savedMtime) return;
+    this.savedMtime = current.mtimeMs;
+    this.reload();
+  }
+
+  /**
+   * Throw if a camera list doesn't pass schema validation
+   */
+  _validate(cameras) {
+    const { errors } = validateCameras(cameras, config.ffmpeg);
+    if (errors.length > 0) {
+      throw new Error(errors.map(formatIssue).join("; "));
+    }
+  }
+
+  /**
+   * Compare two camera definitions regardless of key order
+   */
+  _isSameCamera(a, b) {
+    const normalize = (value) => {
+      if (Array.isArray(value)) return value.map(normalize);
+      if (value && typeof value === "object") {
+        return Object.keys(value)
+          .sort()
+          .map((key) => [key, normalize(value[key])]);
+      }
+      return value;
+    };
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+  }
+}
+
+module.exports = CameraStore;
@@ -0,0 +1,135 @@
+const ffmpeg = require("fluent-ffmpeg");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("./config");
+const { getSegmentInput } = require("./hlsPlaylist");
+
+class ClipExporter {
+  constructor(recordingManager, segmentWatcher) {
+    this.recordingManager = recordingManager;
+    this.segmentWatcher = segmentWatcher;
+  }
+
+  /**
+   * Find stored segments covering a time range (epoch ms)
+   * Uses recorded footage, falling back to the live segment window
+   */
+  findSegments(cameraId, from, to) {
+    const recorded = this.recordingManager.listSegments(cameraId, from, to);
+    if (recorded.length > 0) {
+      return recorded;
+    }
+
+    return this.segmentWatcher
+      .listLiveSegments(cameraId)
+      .filter(
+        (segment) =>
+          fs.existsSync(segment.path) &&
+          segment.startTime < to &&
+          segment.startTime + segment.duration * 1000 > from
+      );
+  }
+
+  /**
+   * Export a time range of a camera as a single MP4 file
+   * Resolves with the path of a temporary file the caller must delete
+   */
+  exportClip(cameraId, from, to) {
+    const segments = this.findSegments(cameraId, from, to);
+    if (segments.length === 0) {
+      return Promise.reject(
+        new Error("No footage found in the requested time range")
+      );
+    }
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "clip-"));
+    const listPath = path.join(workDir, "segments.txt");
+    const outputPath = path.join(workDir, "clip.mp4");
+
+    // Concat demuxer list - quotes in paths must be escaped
+    // Live fMP4 segments are listed with their init segment in front
+    fs.writeFileSync(
+      listPath,
+      segments
+        .map(
+          (segment) =>
+            `file '${getSegmentInput({
+              path: path.resolve(segment.path),
+              initPath: segment.initPath && path.resolve(segment.initPath),
+            }).replace(/'/g, "'\\''")}'`
+        )
+        .join("\n")
+    );
+
+    // Trim to the requested range relative to the first segment
+    const offset = Math.max(0, (from - segments[0].startTime) / 1000);
+    const duration = (to - Math.max(from, segments[0].startTime)) / 1000;
+
+    console.log(
+      `[${cameraId}] Exporting clip from ${segments.length} segments (${duration}s)`
+    );
+
+    const cleanup = () => {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    };
+
+    // Remux without re-encoding first, re-encode only if stream copy fails
+    return this._runExport(listPath, outputPath, offset, duration, false)
+      .catch((err) => {
+        console.warn(
+          `[${cameraId}] Clip remux failed, re-encoding instead: ${err.message}`
+        );
+        return this._runExport(listPath, outputPath, offset, duration, true);
+      })
+      .then(() => outputPath)
+      .catch((err) => {
+        cleanup();
+        throw err;
+      });
+  }
+
+  /**
+   * Run FFmpeg to concatenate and trim segments into an MP4 file
+   */
+  _runExport(listPath, outputPath, offset, duration, reencode) {
+    return new Promise((resolve, reject) => {
+      const ffmpegCmd = ffmpeg(listPath)
+        .inputOptions([
+          "-f",
+          "concat",
+          "-safe",
+          "0",
+          "-protocol_whitelist",
+          "file,concat",
+        ])
+        .addOption("-ss", offset.toFixed(3))
+        .addOption("-t", duration.toFixed(3))
+        .addOption("-map", "0:v:0")
+        .addOption("-map", "0:a?");
+
+      if (reencode) {
+        ffmpegCmd
+          .addOption("-c:v", config.ffmpeg.videoCodec)
+          .addOption("-preset", config.ffmpeg.videoPreset)
+          .addOption("-crf", config.ffmpeg.crf.toString())
+          .addOption("-pix_fmt", "yuv420p")
+          .addOption("-c:a", config.ffmpeg.audioCodec)
+          .addOption("-b:a", config.ffmpeg.audioBitrate);
+      } else {
+        ffmpegCmd.addOption("-c", "copy");
+      }
+
+      ffmpegCmd
+        // Move index to the front so the file plays while downloading
+        .addOption("-movflags", "+faststart")
+        .addOption("-f", "mp4")
+        .output(outputPath)
+        .on("error", (err) => reject(err))
+        .on("end", () => resolve())
+        .run();
+    });
+  }
+}
+
+module.exports = ClipExporter;
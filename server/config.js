@@ -1,9 +1,26 @@
 require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
+const { findCamerasFile, readCamerasFile } = require("./cameraFile");
+const { validateConfig, formatIssue } = require("./configValidator");
+
+const camerasFile = findCamerasFile(process.env.CAMERAS_FILE);
 
 // Parse cameras from environment or use default
 function parseCameras() {
+  // The cameras file (cameras.yaml or cameras.json) takes precedence over .env
+  if (fs.existsSync(camerasFile)) {
+    try {
+      const cameras = readCamerasFile(camerasFile);
+      console.log(`Loaded ${cameras.length} cameras from ${camerasFile}`);
+      return cameras;
+    } catch (e) {
+      throw new Error(
+        `Failed to read cameras file ${camerasFile}: ${e.message}`
+      );
+    }
+  }
+
   // Try to read CAMERAS from .env file directly to support multi-line JSON
   const envPath = path.join(__dirname, "..", ".env");
   let camerasJson = process.env.CAMERAS;
@@ -70,9 +87,11 @@ function parseCameras() {
 
 const cameras = parseCameras();
 
-module.exports = {
+const config = {
   // Cameras configuration
   cameras: cameras,
+  camerasFile: camerasFile, // Watched for changes, runtime camera changes are saved here
+  camerasWatchInterval: 2000, // How often to check the cameras file for changes (ms)
 
   // Legacy single camera support (uses first camera)
   rtspUrl: cameras[0]?.rtspUrl,
@@ -80,9 +99,83 @@ module.exports = {
   // Server configuration
   port: process.env.PORT || 3000,
 
+  // Authentication settings
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== "false", // Require login for the web UI and API
+    usersFile: process.env.USERS_FILE || "./data/users.json", // User accounts with hashed passwords
+    adminUsername: process.env.ADMIN_USERNAME || null, // Initial account created when no users exist
+    adminPassword: process.env.ADMIN_PASSWORD || null,
+    sessionTtlHours: parseFloat(process.env.SESSION_TTL_HOURS || "12"), // Login session lifetime
+    secureCookies: process.env.SECURE_COOKIES === "true", // Only send session cookie over HTTPS
+    maxFailedLogins: 10, // Failed logins per client IP within 15 minutes before throttling
+  },
+
+  // Share link settings
+  share: {
+    secret: process.env.SHARE_SECRET || null, // HMAC key (default: generated and stored next to the users file)
+    defaultTtl: parseInt(process.env.SHARE_DEFAULT_TTL || "86400", 10), // Link lifetime in seconds
+    maxTtl: parseInt(process.env.SHARE_MAX_TTL || "604800", 10), // Longest allowed link lifetime in seconds
+    baseUrl: process.env.PUBLIC_URL || null, // Base URL for links (default: from the request)
+  },
+
+  // Allowed cross-origin callers (comma separated, empty = same origin only)
+  corsOrigins: (process.env.CORS_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean),
+
   // HLS output directory
   hlsOutputDir: process.env.HLS_OUTPUT_DIR || "./hls",
 
+  // Recording output directory (one dated subdirectory per camera and day)
+  recordingsDir: process.env.RECORDINGS_DIR || "./recordings",
+
+  // How often live playlists are checked for newly completed segments
+  segmentPollInterval: 1000,
+
+  // Recording settings (can be overridden per camera)
+  recording: {
+    // Recording modes: 'disabled', 'continuous' or 'event'
+    // - 'disabled': Only the rolling live HLS window is kept
+    // - 'continuous': Every live segment is archived to recordingsDir
+    // - 'event': Segments around motion or manual triggers are archived
+    defaultMode: process.env.DEFAULT_RECORDING_MODE || "disabled",
+    preRoll: parseInt(process.env.RECORDING_PRE_ROLL || "10", 10), // Seconds kept before an event (limited by the live window)
+    postRoll: parseInt(process.env.RECORDING_POST_ROLL || "30", 10), // Seconds kept after an event
+    retentionDays: parseFloat(process.env.RECORDING_RETENTION_DAYS || "7"), // Delete recordings older than this (0 = keep forever)
+    maxSizeMB: parseInt(process.env.RECORDING_MAX_SIZE_MB || "0", 10), // Disk quota per camera, oldest deleted first (0 = no quota)
+    pruneInterval: 60000, // Run the background pruner every minute
+  },
+
+  // Snapshot settings
+  snapshot: {
+    cacheTtl: parseInt(process.env.SNAPSHOT_CACHE_TTL || "5000", 10), // Reuse a snapshot for this many milliseconds
+    quality: 3, // JPEG quality (2-31, lower = better quality)
+  },
+
+  // Motion detection settings (can be overridden per camera)
+  motion: {
+    defaultEnabled: process.env.DEFAULT_MOTION_DETECTION === "true",
+    defaultThreshold: parseFloat(
+      process.env.DEFAULT_MOTION_THRESHOLD || "0.05"
+    ), // Scene change score that counts as motion (0-1, lower = more sensitive)
+    fps: parseFloat(process.env.MOTION_FPS || "2"), // Frames per second analyzed
+    frameWidth: 320, // Frames are downscaled to this width before analysis
+    cooldown: parseInt(process.env.MOTION_COOLDOWN || "10", 10), // Minimum seconds between motion events per camera
+  },
+
+  // Event log settings
+  events: {
+    dir: process.env.EVENTS_DIR || "./events",
+    retentionDays: parseFloat(process.env.EVENT_RETENTION_DAYS || "30"), // Delete events older than this (0 = keep forever)
+    pruneInterval: 60 * 60 * 1000, // Prune events hourly
+  },
+
+  // Clip export settings
+  clip: {
+    maxDuration: parseInt(process.env.CLIP_MAX_DURATION || "600", 10), // Longest exportable clip in seconds
+  },
+
   // FFmpeg settings for stability and quality
   ffmpeg: {
     // Video codec settings
@@ -120,18 +213,17 @@ module.exports = {
     // - 'passthrough': Copy video stream without re-encoding (saves CPU, requires compatible codec)
     defaultVideoMode: process.env.DEFAULT_VIDEO_MODE || "reencode",
 
+    // Pass H.265/HEVC input through in fMP4 segments when probing picks the
+    // video mode, instead of re-encoding it (only browsers with HEVC support
+    // can play these cameras)
+    hevcPassthrough: process.env.HEVC_PASSTHROUGH === "true",
+
     // Audio modes: 'disabled', 'auto', or 'manual'
     // - 'disabled': No audio in output stream
     // - 'auto': Auto-detect and use first available audio stream
     // - 'manual': Use specific audio stream index (requires audioStreamIndex)
     defaultAudioMode: process.env.DEFAULT_AUDIO_MODE || "auto",
 
-    // Default audio stream index for 'manual' mode
-    defaultAudioStreamIndex: parseInt(
-      process.env.DEFAULT_AUDIO_STREAM_INDEX || "0",
-      10
-    ),
-
     // Audio encoding modes: 'auto' or 'force'
     // - 'auto': Let FFmpeg handle sample rate/channel conversion automatically (recommended)
     // - 'force': Force specific sample rate and channels (may cause timestamp issues)
@@ -154,6 +246,68 @@ module.exports = {
     backoffMultiplier: 1.5, // Exponential backoff multiplier
   },
 
+  // Probe camera inputs with ffprobe before streaming to pick video and
+  // audio settings that cameras don't set explicitly
+  probe: {
+    enabled: process.env.PROBE_ENABLED !== "false",
+    timeout: parseInt(process.env.PROBE_TIMEOUT || "15", 10), // Give up probing after this many seconds
+  },
+
+  // Watchdog restarting FFmpeg processes that run but stop producing output
+  watchdog: {
+    enabled: process.env.WATCHDOG_ENABLED !== "false",
+    checkInterval: 5000, // Check running streams every 5 seconds
+    segmentTimeout: parseInt(process.env.WATCHDOG_SEGMENT_TIMEOUT || "30", 10), // Restart after this many seconds without a new HLS segment
+    progressTimeout: parseInt(
+      process.env.WATCHDOG_PROGRESS_TIMEOUT || "20",
+      10
+    ), // Restart after this many seconds without FFmpeg progress output
+  },
+
+  // On-demand streaming: FFmpeg runs only while someone is watching
+  onDemand: {
+    enabled: process.env.ON_DEMAND_STREAMING === "true",
+    idleTimeout: parseInt(process.env.ON_DEMAND_IDLE_TIMEOUT || "60", 10), // Stop after this many seconds without playlist or segment requests
+    checkInterval: 5000, // Check for idle streams every 5 seconds
+  },
+
+  // Low-Latency HLS output of cameras with lowLatency enabled
+  lowLatency: {
+    partDuration: parseFloat(process.env.LL_HLS_PART_DURATION || "0.5"), // Partial segment duration in seconds
+  },
+
+  // WebRTC live view of cameras with webrtc enabled
+  webrtc: {
+    rtpPortStart: parseInt(process.env.WEBRTC_RTP_PORT_START || "20000", 10), // First local UDP port FFmpeg sends RTP to (four per camera)
+    // STUN/TURN server URLs for viewers outside the local network (comma separated)
+    iceServers: (process.env.WEBRTC_ICE_SERVERS || "")
+      .split(",")
+      .map((url) => url.trim())
+      .filter(Boolean)
+      .map((url) => ({ urls: url })),
+  },
+
+  // MJPEG stream of cameras with mjpeg enabled (per-camera mjpegFps and mjpegScale override these)
+  mjpeg: {
+    fps: parseFloat(process.env.MJPEG_FPS || "2"), // Frames per second
+    scale: process.env.MJPEG_SCALE || "640:-2", // FFmpeg scale, "width:height"
+  },
+
   // Logging
   logLevel: process.env.LOG_LEVEL || "info",
 };
+
+// Refuse to start with an invalid configuration, reporting every problem
+const validation = validateConfig(config);
+validation.warnings.forEach((warning) => {
+  console.warn(`Warning: ${formatIssue(warning)}`);
+});
+if (!validation.valid) {
+  throw new Error(
+    `Invalid configuration:\n  ${validation.errors
+      .map(formatIssue)
+      .join("\n  ")}`
+  );
+}
+
+module.exports = config;
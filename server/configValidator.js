@@ -0,0 +1,522 @@
+const VIDEO_MODES = ["reencode", "passthrough"];
+const AUDIO_MODES = ["disabled", "auto", "manual"];
+const AUDIO_ENCODING_MODES = ["auto", "force"];
+const ERROR_DETECTION_MODES = [
+  "ignore_err",
+  "aggressive",
+  "careful",
+  "compliant",
+];
+const RTSP_TRANSPORTS = ["tcp", "udp"];
+const VIDEO_PRESETS = [
+  "ultrafast",
+  "superfast",
+  "veryfast",
+  "faster",
+  "fast",
+  "medium",
+  "slow",
+  "slower",
+  "veryslow",
+];
+
+// One side of a scale filter size: a number (-1/-2 keep the aspect ratio)
+// or an expression of the input size such as iw/2
+const SCALE_SIDE_PATTERN = /^(-?\d+|[\w*/+\-.()]*\bi[wh]\b[\w*/+\-.()]*)$/;
+
+/**
+ * Check a scale filter size such as "1280:720" or "-2:720"
+ */
+function checkScale(value) {
+  const sides = value.split(":");
+  if (
+    sides.length !== 2 ||
+    !sides.every((side) => SCALE_SIDE_PATTERN.test(side))
+  ) {
+    return 'must be "width:height", e.g. "1280:720" or "-2:720"';
+  }
+  return null;
+}
+
+// Region of interest as fractions of the frame
+const REGION_SCHEMA = {
+  x: { type: "number", min: 0, max: 1 },
+  y: { type: "number", min: 0, max: 1 },
+  width: { type: "number", min: 0, max: 1, exclusiveMin: true },
+  height: { type: "number", min: 0, max: 1, exclusiveMin: true },
+};
+
+// One rendition of an ABR ladder
+const RENDITION_SCHEMA = {
+  name: {
+    type: "string",
+    // Names are used in file names and URLs
+    pattern: /^[\w-]+$/,
+    hint: "may only contain letters, numbers, '_' and '-'",
+  },
+  height: { type: "number", required: true, integer: true, min: 2 },
+  bitrate: {
+    type: "string",
+    required: true,
+    pattern: /^\d+(\.\d+)?[kKmM]?$/,
+    hint: 'must be a bitrate such as "2048k" or "4M"',
+  },
+};
+
+// Supported camera fields (see "Camera Configuration Options" in .env.example)
+const CAMERA_SCHEMA = {
+  id: {
+    type: "string",
+    required: true,
+    // IDs are used in URLs and directory names
+    pattern: /^[\w-]+$/,
+    hint: "may only contain letters, numbers, '_' and '-'",
+  },
+  name: {
+    type: "string",
+    required: true,
+    pattern: /\S/,
+    hint: "must not be empty",
+  },
+  rtspUrl: {
+    type: "string",
+    required: true,
+    pattern: /^rtsps?:\/\/\S+$/,
+    hint: "must start with rtsp:// or rtsps://",
+  },
+  subRtspUrl: {
+    type: "string",
+    pattern: /^rtsps?:\/\/\S+$/,
+    hint: "must start with rtsp:// or rtsps://",
+  },
+  rtspTransport: { type: "string", enum: RTSP_TRANSPORTS },
+  videoMode: { type: "string", enum: VIDEO_MODES },
+  audioMode: { type: "string", enum: AUDIO_MODES },
+  audioStreamIndex: { type: "number", integer: true, min: 0 },
+  audioEncodingMode: { type: "string", enum: AUDIO_ENCODING_MODES },
+  videoDecoder: {
+    type: "string",
+    pattern: /^[\w-]+$/,
+    hint: 'must be an FFmpeg decoder name, e.g. "h264" or "hevc"',
+  },
+  errorDetection: { type: "string", enum: ERROR_DETECTION_MODES },
+  hlsListSize: { type: "number", integer: true, min: 1 },
+  vsyncMode: { type: "string", enum: ["cfr", "vfr"] },
+  maxThreads: { type: "number", integer: true, min: 0 },
+  maxFPS: { type: "number", min: 0, exclusiveMin: true },
+  videoScale: { type: "string", check: checkScale },
+  abrLadder: {
+    type: "array",
+    items: { type: "object", fields: RENDITION_SCHEMA },
+  },
+  lowLatency: { type: "boolean" },
+  webrtc: { type: "boolean" },
+  mse: { type: "boolean" },
+  mjpeg: { type: "boolean" },
+  mjpegFps: { type: "number", min: 0, exclusiveMin: true },
+  mjpegScale: { type: "string", check: checkScale },
+  recordingMode: { type: "string", enum: ["disabled", "continuous", "event"] },
+  preRollSeconds: { type: "number", min: 0 },
+  postRollSeconds: { type: "number", min: 0 },
+  recordingRetentionDays: { type: "number", min: 0 },
+  recordingMaxSizeMB: { type: "number", min: 0 },
+  onDemand: { type: "boolean" },
+  motionDetection: { type: "boolean" },
+  motionThreshold: { type: "number", min: 0, max: 1 },
+  motionRegion: { type: "object", fields: REGION_SCHEMA },
+};
+
+// Global FFmpeg settings (config.ffmpeg) and the variables that set them
+const FFMPEG_SCHEMA = {
+  videoBitrate: {
+    env: "VIDEO_BITRATE",
+    type: "string",
+    pattern: /^\d+(\.\d+)?[kKmM]?$/,
+    hint: 'must be a bitrate such as "2048k" or "4M"',
+  },
+  videoPreset: { env: "VIDEO_PRESET", type: "string", enum: VIDEO_PRESETS },
+  crf: { type: "number", integer: true, min: 0, max: 51 },
+  maxThreads: {
+    env: "MAX_THREADS",
+    type: "number",
+    integer: true,
+    min: 0,
+    nullable: true,
+  },
+  maxFPS: {
+    env: "MAX_FPS",
+    type: "number",
+    min: 0,
+    exclusiveMin: true,
+    nullable: true,
+  },
+  scale: {
+    env: "VIDEO_SCALE",
+    type: "string",
+    check: checkScale,
+    nullable: true,
+  },
+  audioBitrate: {
+    type: "string",
+    pattern: /^\d+(\.\d+)?[kKmM]?$/,
+    hint: 'must be a bitrate such as "128k"',
+  },
+  audioChannels: { type: "number", integer: true, min: 1 },
+  audioSampleRate: { type: "number", integer: true, min: 1 },
+  hlsTime: { type: "number", min: 0, exclusiveMin: true },
+  hlsListSize: { type: "number", integer: true, min: 1 },
+  rtspTransport: { type: "string", enum: RTSP_TRANSPORTS },
+  defaultVideoMode: {
+    env: "DEFAULT_VIDEO_MODE",
+    type: "string",
+    enum: VIDEO_MODES,
+  },
+  defaultAudioMode: {
+    env: "DEFAULT_AUDIO_MODE",
+    type: "string",
+    enum: AUDIO_MODES,
+  },
+  defaultAudioEncodingMode: {
+    env: "DEFAULT_AUDIO_ENCODING_MODE",
+    type: "string",
+    enum: AUDIO_ENCODING_MODES,
+  },
+  defaultErrorDetection: {
+    env: "DEFAULT_ERROR_DETECTION",
+    type: "string",
+    enum: ERROR_DETECTION_MODES,
+  },
+};
+
+/**
+ * Get the JSON type of a value ("array" and "null" are told apart from "object")
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema rule
+ * Returns a problem description, or null if the value is valid
+ */
+function checkValue(value, rule) {
+  if (value === null && rule.nullable) return null;
+  // NaN comes from parsing non-numeric environment variables
+  if (typeOf(value) !== rule.type || (rule.type === "number" && isNaN(value))) {
+    return `must be a ${rule.type}`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of: ${rule.enum.join(", ")}`;
+  }
+  if (rule.integer && !Number.isInteger(value)) {
+    return "must be a whole number";
+  }
+  if (rule.min !== undefined) {
+    if (rule.exclusiveMin ? value <= rule.min : value < rule.min) {
+      return `must be ${rule.exclusiveMin ? "greater than" : "at least"} ${
+        rule.min
+      }`;
+    }
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `must be at most ${rule.max}`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return rule.hint;
+  }
+  if (rule.check) {
+    return rule.check(value);
+  }
+  return null;
+}
+
+/**
+ * Check the fields of an object against a schema, adding problems to errors
+ * Unknown fields are added to warnings
+ */
+function checkFields(object, schema, path, cameraId, errors, warnings) {
+  Object.keys(schema).forEach((field) => {
+    const rule = schema[field];
+    const value = object[field];
+    const fieldPath = `${path}.${field}`;
+    if (value === undefined) {
+      if (rule.required) {
+        errors.push({ cameraId, path: fieldPath, message: "is required" });
+      }
+      return;
+    }
+
+    const message = checkValue(value, rule);
+    if (message) {
+      errors.push({ cameraId, path: fieldPath, message });
+    } else if (rule.fields) {
+      checkFields(value, rule.fields, fieldPath, cameraId, errors, warnings);
+    } else if (rule.items) {
+      value.forEach((item, index) => {
+        const itemPath = `${fieldPath}[${index}]`;
+        const itemMessage = checkValue(item, rule.items);
+        if (itemMessage) {
+          errors.push({ cameraId, path: itemPath, message: itemMessage });
+        } else if (rule.items.fields) {
+          checkFields(
+            item,
+            rule.items.fields,
+            itemPath,
+            cameraId,
+            errors,
+            warnings
+          );
+        }
+      });
+    }
+  });
+
+  Object.keys(object)
+    .filter((field) => !schema[field])
+    .forEach((field) => {
+      warnings.push({
+        cameraId,
+        path: `${path}.${field}`,
+        message: "unknown field (ignored)",
+      });
+    });
+}
+
+/**
+ * Check combinations of camera fields that are valid on their own, with
+ * the global FFmpeg settings filling in fields the camera leaves unset
+ */
+function checkCameraCombinations(
+  camera,
+  path,
+  cameraId,
+  ffmpegConfig,
+  errors,
+  warnings
+) {
+  const audioMode = camera.audioMode || ffmpegConfig.defaultAudioMode;
+  if (audioMode === "manual" && camera.audioStreamIndex === undefined) {
+    errors.push({
+      cameraId,
+      path: `${path}.audioStreamIndex`,
+      message:
+        camera.audioMode === "manual"
+          ? 'is required with audioMode "manual"'
+          : 'is required with audioMode "manual" (from DEFAULT_AUDIO_MODE)',
+    });
+  }
+  if (
+    camera.audioStreamIndex !== undefined &&
+    camera.audioMode !== undefined &&
+    camera.audioMode !== "manual"
+  ) {
+    warnings.push({
+      cameraId,
+      path: `${path}.audioStreamIndex`,
+      message: 'only used with audioMode "manual"',
+    });
+  }
+  if (camera.videoMode === "passthrough") {
+    ["maxFPS", "videoScale", "maxThreads", "vsyncMode", "abrLadder"]
+      .filter((field) => camera[field] !== undefined)
+      .forEach((field) => {
+        warnings.push({
+          cameraId,
+          path: `${path}.${field}`,
+          message: 'ignored with videoMode "passthrough"',
+        });
+      });
+  }
+
+  if (camera.mjpeg !== true) {
+    ["mjpegFps", "mjpegScale"]
+      .filter((field) => camera[field] !== undefined)
+      .forEach((field) => {
+        warnings.push({
+          cameraId,
+          path: `${path}.${field}`,
+          message: "only used with mjpeg enabled",
+        });
+      });
+  }
+
+  if (Array.isArray(camera.abrLadder)) {
+    checkAbrLadder(camera, path, cameraId, errors, warnings);
+  }
+
+  const region = camera.motionRegion;
+  if (typeOf(region) !== "object") return;
+  const { x = 0, y = 0, width = 1, height = 1 } = region;
+  if ([x, y, width, height].every((value) => typeof value === "number")) {
+    if (x + width > 1) {
+      errors.push({
+        cameraId,
+        path: `${path}.motionRegion`,
+        message: "x + width must not exceed 1",
+      });
+    }
+    if (y + height > 1) {
+      errors.push({
+        cameraId,
+        path: `${path}.motionRegion`,
+        message: "y + height must not exceed 1",
+      });
+    }
+  }
+}
+
+/**
+ * Check that an ABR ladder has renditions with distinct names
+ */
+function checkAbrLadder(camera, path, cameraId, errors, warnings) {
+  const ladder = camera.abrLadder;
+  if (ladder.length === 0) {
+    errors.push({
+      cameraId,
+      path: `${path}.abrLadder`,
+      message: "must list at least one rendition",
+    });
+    return;
+  }
+  if (camera.videoScale !== undefined) {
+    warnings.push({
+      cameraId,
+      path: `${path}.videoScale`,
+      message: "ignored with abrLadder (renditions set their own height)",
+    });
+  }
+  if (camera.lowLatency === true) {
+    warnings.push({
+      cameraId,
+      path: `${path}.abrLadder`,
+      message: "ignored with lowLatency (Low-Latency HLS has one rendition)",
+    });
+  }
+
+  const seenNames = new Set();
+  ladder.forEach((rendition, index) => {
+    if (typeOf(rendition) !== "object") return;
+    // Renditions without a name are named after their height, e.g. "720p"
+    const name = rendition.name || `${rendition.height}p`;
+    if (seenNames.has(name)) {
+      errors.push({
+        cameraId,
+        path: `${path}.abrLadder[${index}]`,
+        message: `duplicate rendition name "${name}"`,
+      });
+    }
+    seenNames.add(name);
+  });
+}
+
+/**
+ * Validate a list of camera definitions against the global FFmpeg settings
+ * they fall back to
+ * Returns { errors, warnings } as lists of { cameraId, path, message }
+ */
+function validateCameras(cameras, ffmpegConfig = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!Array.isArray(cameras)) {
+    errors.push({
+      cameraId: null,
+      path: "cameras",
+      message: "must be a list of cameras",
+    });
+    return { errors, warnings };
+  }
+
+  const seenIds = new Set();
+  cameras.forEach((camera, index) => {
+    const path = `cameras[${index}]`;
+    if (typeOf(camera) !== "object") {
+      errors.push({ cameraId: null, path, message: "must be an object" });
+      return;
+    }
+
+    const cameraId = typeof camera.id === "string" ? camera.id : null;
+    checkFields(camera, CAMERA_SCHEMA, path, cameraId, errors, warnings);
+    checkCameraCombinations(
+      camera,
+      path,
+      cameraId,
+      ffmpegConfig,
+      errors,
+      warnings
+    );
+
+    if (cameraId !== null) {
+      if (seenIds.has(cameraId)) {
+        errors.push({
+          cameraId,
+          path: `${path}.id`,
+          message: "duplicate camera id",
+        });
+      }
+      seenIds.add(cameraId);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate the global FFmpeg settings
+ * Returns { errors, warnings } as lists of { cameraId, path, env, message }
+ */
+function validateFfmpeg(ffmpegConfig) {
+  const errors = [];
+  Object.keys(FFMPEG_SCHEMA).forEach((field) => {
+    const rule = FFMPEG_SCHEMA[field];
+    const message = checkValue(ffmpegConfig[field], rule);
+    if (message) {
+      errors.push({
+        cameraId: null,
+        path: `ffmpeg.${field}`,
+        env: rule.env || null,
+        message,
+      });
+    }
+  });
+  return { errors, warnings: [] };
+}
+
+/**
+ * Validate the cameras and global FFmpeg settings of a configuration
+ * Returns { valid, errors, warnings } reporting every problem found
+ */
+function validateConfig(config) {
+  const cameras = validateCameras(config.cameras, config.ffmpeg);
+  const ffmpeg = validateFfmpeg(config.ffmpeg);
+  const errors = [...cameras.errors, ...ffmpeg.errors];
+  return {
+    valid: errors.length === 0,
+    errors: errors,
+    warnings: [...cameras.warnings, ...ffmpeg.warnings],
+  };
+}
+
+/**
+ * Format a validation problem for logs and error messages
+ */
+function formatIssue(issue) {
+  const context = [
+    issue.cameraId ? `camera ${issue.cameraId}` : null,
+    issue.env ? `set by ${issue.env}` : null,
+  ].filter(Boolean);
+  return `${issue.path}${
+    context.length > 0 ? ` (${context.join(", ")})` : ""
+  }: ${issue.message}`;
+}
+
+module.exports = {
+  CAMERA_SCHEMA,
+  FFMPEG_SCHEMA,
+  validateCameras,
+  validateFfmpeg,
+  validateConfig,
+  formatIssue,
+};
@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Stores camera events (e.g. motion) with snapshots on disk
+ * Events are kept in memory and appended to an events.jsonl log
+ */
+class EventStore {
+  constructor() {
+    this.eventsDir = path.resolve(config.events.dir);
+    this.logPath = path.join(this.eventsDir, "events.jsonl");
+    this.events = [];
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Load stored events and start the background pruner
+   */
+  start() {
+    this._load();
+    this.pruneTimer = setInterval(
+      () => this.prune(),
+      config.events.pruneInterval
+    );
+    this.prune();
+  }
+
+  /**
+   * Stop the background pruner
+   */
+  stop() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+
+  /**
+   * Store a new event with an optional JPEG snapshot
+   */
+  add(event, snapshot = null) {
+    const stored = {
+      id: crypto.randomUUID(),
+      ...event,
+      snapshot: null,
+    };
+
+    try {
+      if (!fs.existsSync(this.eventsDir)) {
+        fs.mkdirSync(this.eventsDir, { recursive: true });
+      }
+      if (snapshot) {
+        const snapshotDir = path.join(this.eventsDir, stored.cameraId);
+        if (!fs.existsSync(snapshotDir)) {
+          fs.mkdirSync(snapshotDir, { recursive: true });
+        }
+        stored.snapshot = `${stored.id}.jpg`;
+        fs.writeFileSync(path.join(snapshotDir, stored.snapshot), snapshot);
+      }
+      fs.appendFileSync(this.logPath, JSON.stringify(stored) + "\n");
+    } catch (err) {
+      console.error(`[${stored.cameraId}] Failed to store event:`, err.message);
+    }
+
+    this.events.push(stored);
+    return stored;
+  }
+
+  /**
+   * List events, newest first, optionally filtered by camera, time range
+   * and a custom filter function
+   */
+  list({
+    cameraId = null,
+    from = 0,
+    to = Date.now(),
+    limit = 100,
+    filter = null,
+  } = {}) {
+    return this.events
+      .filter(
+        (event) =>
+          (!cameraId || event.cameraId === cameraId) &&
+          event.timestamp >= from &&
+          event.timestamp <= to &&
+          (!filter || filter(event))
+      )
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get a single event by ID
+   */
+  get(eventId) {
+    return this.events.find((event) => event.id === eventId) || null;
+  }
+
+  /**
+   * Get the snapshot file path of an event (null if it has none)
+   */
+  getSnapshotPath(event) {
+    if (!event.snapshot) return null;
+    const snapshotPath = path.join(
+      this.eventsDir,
+      event.cameraId,
+      event.snapshot
+    );
+    return fs.existsSync(snapshotPath) ? snapshotPath : null;
+  }
+
+  /**
+   * Delete events older than the retention period
+   */
+  prune() {
+    if (config.events.retentionDays <= 0) return;
+
+    const cutoff = Date.now() - config.events.retentionDays * DAY_MS;
+    const expired = this.events.filter((event) => event.timestamp < cutoff);
+    if (expired.length === 0) return;
+
+    expired.forEach((event) => {
+      const snapshotPath = this.getSnapshotPath(event);
+      if (snapshotPath) {
+        try {
+          fs.unlinkSync(snapshotPath);
+        } catch (err) {
+          // Ignore errors deleting individual snapshots
+        }
+      }
+    });
+    this.events = this.events.filter((event) => event.timestamp >= cutoff);
+
+    try {
+      fs.writeFileSync(
+        this.logPath,
+        this.events.map((event) => JSON.stringify(event) + "\n").join("")
+      );
+      console.log(`Pruned ${expired.length} old events`);
+    } catch (err) {
+      console.warn("Warning: Could not rewrite event log:", err.message);
+    }
+  }
+
+  /**
+   * Load events from the event log
+   */
+  _load() {
+    if (!fs.existsSync(this.logPath)) return;
+
+    try {
+      this.events = fs
+        .readFileSync(this.logPath, "utf8")
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => {
+          try {
+            return JSON.parse(line);
+          } catch (err) {
+            return null; // Skip partially written lines
+          }
+        })
+        .filter(Boolean);
+      console.log(`Loaded ${this.events.length} events from ${this.logPath}`);
+    } catch (err) {
+      console.error("Error reading event log:", err);
+    }
+  }
+}
+
+module.exports = EventStore;
@@ -0,0 +1,355 @@
+// Sample flag telling that a sample is not a keyframe
+const NON_SYNC_SAMPLE = 0x00010000;
+
+// Largest box accepted - FFmpeg's fragments are far smaller, so anything
+// bigger is corrupt data that would otherwise be buffered without limit
+const MAX_BOX_SIZE = 64 * 1024 * 1024;
+
+// Bytes between the header of a visual sample entry (e.g. "avc1") and its
+// child boxes
+const VISUAL_SAMPLE_ENTRY_SIZE = 78;
+
+/**
+ * Read the header of the MP4 box at offset
+ * Returns { type, start, size, headerSize }, or null if the header or the
+ * box isn't complete yet
+ * Throws on sizes a stream can't have, including 0 ("to the end of the
+ * file")
+ */
+function readBox(buffer, offset) {
+  if (buffer.length - offset < 8) return null;
+  const type = buffer.toString("latin1", offset + 4, offset + 8);
+  let size = buffer.readUInt32BE(offset);
+  let headerSize = 8;
+  if (size === 1) {
+    if (buffer.length - offset < 16) return null;
+    size = Number(buffer.readBigUInt64BE(offset + 8));
+    headerSize = 16;
+  }
+  if (size < headerSize || size > MAX_BOX_SIZE) {
+    throw new Error(`Invalid size ${size} of "${type}" box`);
+  }
+  if (buffer.length - offset < size) return null;
+  return {
+    type: type,
+    start: offset,
+    size: size,
+    headerSize: headerSize,
+  };
+}
+
+/**
+ * List the child boxes of a box, optionally only those of a type
+ */
+function childBoxes(buffer, box, type = null) {
+  const children = [];
+  let offset = box.start + box.headerSize;
+  const end = box.start + box.size;
+  while (offset < end) {
+    const child = readBox(buffer, offset);
+    if (!child || child.start + child.size > end) break;
+    if (!type || child.type === type) children.push(child);
+    offset += child.size;
+  }
+  return children;
+}
+
+/**
+ * Find the first descendant of a box following a path of box types
+ */
+function findBox(buffer, box, path) {
+  let current = box;
+  for (const type of path) {
+    current = childBoxes(buffer, current, type)[0];
+    if (!current) return null;
+  }
+  return current;
+}
+
+/**
+ * Read the tracks of a "moov" box: their timescale, handler ("vide",
+ * "soun") and fragment sample defaults from "trex"
+ * Returns a Map of track ID -> track
+ */
+function parseMovie(buffer, moov) {
+  const tracks = new Map();
+  childBoxes(buffer, moov, "trak").forEach((trak) => {
+    const tkhd = findBox(buffer, trak, ["tkhd"]);
+    const mdhd = findBox(buffer, trak, ["mdia", "mdhd"]);
+    const hdlr = findBox(buffer, trak, ["mdia", "hdlr"]);
+    if (!tkhd || !mdhd || !hdlr) return;
+
+    const tkhdBody = tkhd.start + tkhd.headerSize;
+    const mdhdBody = mdhd.start + mdhd.headerSize;
+    const hdlrBody = hdlr.start + hdlr.headerSize;
+    // Version 1 boxes use 64-bit times
+    const tkhdVersion = buffer[tkhdBody];
+    const mdhdVersion = buffer[mdhdBody];
+    const trackId = buffer.readUInt32BE(
+      tkhdBody + (tkhdVersion === 1 ? 20 : 12)
+    );
+    tracks.set(trackId, {
+      timescale: buffer.readUInt32BE(mdhdBody + (mdhdVersion === 1 ? 20 : 12)),
+      handler: buffer.toString("latin1", hdlrBody + 8, hdlrBody + 12),
+      defaultDuration: 0,
+      defaultFlags: 0,
+    });
+  });
+
+  const mvex = findBox(buffer, moov, ["mvex"]);
+  if (mvex) {
+    childBoxes(buffer, mvex, "trex").forEach((trex) => {
+      const body = trex.start + trex.headerSize;
+      const track = tracks.get(buffer.readUInt32BE(body + 4));
+      if (track) {
+        track.defaultDuration = buffer.readUInt32BE(body + 12);
+        track.defaultFlags = buffer.readUInt32BE(body + 20);
+      }
+    });
+  }
+  return tracks;
+}
+
+/**
+ * Get the codecs of the tracks of a "moov" box as RFC 6381 strings, as
+ * MediaSource expects them (e.g. "avc1.64001f", "mp4a.40.2")
+ */
+function getCodecs(buffer, moov) {
+  const codecs = [];
+  childBoxes(buffer, moov, "trak").forEach((trak) => {
+    const stsd = findBox(buffer, trak, ["mdia", "minf", "stbl", "stsd"]);
+    if (!stsd) return;
+    // The first sample entry follows version, flags and entry count
+    const entry = readBox(buffer, stsd.start + stsd.headerSize + 8);
+    if (!entry) return;
+    const visualEntry = {
+      ...entry,
+      headerSize: entry.headerSize + VISUAL_SAMPLE_ENTRY_SIZE,
+    };
+
+    switch (entry.type) {
+      case "avc1":
+      case "avc3": {
+        const avcC = childBoxes(buffer, visualEntry, "avcC")[0];
+        if (!avcC) return;
+        // Profile, constraint flags and level
+        const body = avcC.start + avcC.headerSize;
+        codecs.push(
+          `${entry.type}.${buffer.toString("hex", body + 1, body + 4)}`
+        );
+        break;
+      }
+      case "hvc1":
+      case "hev1": {
+        const hvcC = childBoxes(buffer, visualEntry, "hvcC")[0];
+        if (!hvcC) return;
+        codecs.push(
+          getHevcCodec(entry.type, buffer, hvcC.start + hvcC.headerSize)
+        );
+        break;
+      }
+      case "mp4a":
+        codecs.push("mp4a.40.2"); // AAC-LC, as FFmpeg encodes it
+        break;
+      case "Opus":
+        codecs.push("opus");
+        break;
+    }
+  });
+  return codecs;
+}
+
+/**
+ * Build the codec string of an H.265 track from its "hvcC" box body
+ */
+function getHevcCodec(type, buffer, body) {
+  const profileByte = buffer[body + 1];
+  const profileSpace = ["", "A", "B", "C"][profileByte >> 6];
+  const tier = profileByte & 0x20 ? "H" : "L";
+  // Compatibility flags are listed in reverse bit order
+  let flags = buffer.readUInt32BE(body + 2);
+  let compatibility = 0;
+  for (let i = 0; i < 32; i++) {
+    compatibility = (compatibility << 1) | (flags & 1);
+    flags >>>= 1;
+  }
+  // Constraint flags without trailing zero bytes
+  const constraints = Array.from(buffer.subarray(body + 6, body + 12));
+  while (constraints.length > 0 && constraints[constraints.length - 1] === 0) {
+    constraints.pop();
+  }
+  return [
+    `${type}.${profileSpace}${profileByte & 0x1f}`,
+    (compatibility >>> 0).toString(16).toUpperCase(),
+    `${tier}${buffer[body + 12]}`,
+    ...constraints.map((byte) => byte.toString(16).toUpperCase()),
+  ].join(".");
+}
+
+/**
+ * Read the duration (in seconds) of a "moof" box and whether it starts with
+ * a keyframe, from the fragment of its video track (or its first track)
+ */
+function parseFragment(buffer, moof, tracks) {
+  const fragments = childBoxes(buffer, moof, "traf").map((traf) =>
+    parseTrackFragment(buffer, traf, tracks)
+  );
+  const fragment =
+    fragments.find((entry) => entry.track && entry.track.handler === "vide") ||
+    fragments.find((entry) => entry.track);
+  if (!fragment) {
+    return { duration: 0, independent: false };
+  }
+  return {
+    duration: fragment.duration / fragment.track.timescale,
+    independent: fragment.independent,
+  };
+}
+
+/**
+ * Read the summed sample duration (in track timescale units) of a "traf"
+ * box and whether its first sample is a keyframe
+ */
+function parseTrackFragment(buffer, traf, tracks) {
+  const tfhd = findBox(buffer, traf, ["tfhd"]);
+  if (!tfhd) return { track: null };
+
+  let offset = tfhd.start + tfhd.headerSize;
+  const tfhdFlags = buffer.readUInt32BE(offset) & 0xffffff;
+  const track = tracks.get(buffer.readUInt32BE(offset + 4));
+  if (!track) return { track: null };
+
+  let defaultDuration = track.defaultDuration;
+  let defaultFlags = track.defaultFlags;
+  offset += 8;
+  if (tfhdFlags & 0x01) offset += 8; // base-data-offset
+  if (tfhdFlags & 0x02) offset += 4; // sample-description-index
+  if (tfhdFlags & 0x08) {
+    defaultDuration = buffer.readUInt32BE(offset);
+    offset += 4;
+  }
+  if (tfhdFlags & 0x10) offset += 4; // default-sample-size
+  if (tfhdFlags & 0x20) {
+    defaultFlags = buffer.readUInt32BE(offset);
+  }
+
+  let duration = 0;
+  let firstFlags = null;
+  childBoxes(buffer, traf, "trun").forEach((trun) => {
+    let position = trun.start + trun.headerSize;
+    const flags = buffer.readUInt32BE(position) & 0xffffff;
+    const sampleCount = buffer.readUInt32BE(position + 4);
+    position += 8;
+    if (flags & 0x01) position += 4; // data-offset
+    let firstSampleFlags = null;
+    if (flags & 0x04) {
+      firstSampleFlags = buffer.readUInt32BE(position);
+      position += 4;
+    }
+    for (let i = 0; i < sampleCount; i++) {
+      let sampleFlags = defaultFlags;
+      if (flags & 0x100) {
+        duration += buffer.readUInt32BE(position);
+        position += 4;
+      } else {
+        duration += defaultDuration;
+      }
+      if (flags & 0x200) position += 4; // sample-size
+      if (flags & 0x400) {
+        sampleFlags = buffer.readUInt32BE(position);
+        position += 4;
+      }
+      if (flags & 0x800) position += 4; // sample-composition-time-offset
+      if (firstFlags === null) {
+        firstFlags = firstSampleFlags !== null ? firstSampleFlags : sampleFlags;
+      }
+    }
+  });
+
+  return {
+    track: track,
+    duration: duration,
+    independent: firstFlags !== null && !(firstFlags & NON_SYNC_SAMPLE),
+  };
+}
+
+/**
+ * Splits fragmented MP4 data arriving in chunks into its init segment
+ * ("ftyp" and "moov") and fragments ("moof" and "mdat" pairs)
+ * onInit(buffer, tracks) and onFragment(buffer, { duration, independent })
+ * are called as soon as each is complete
+ */
+class FragmentReader {
+  constructor(onInit, onFragment) {
+    this.onInit = onInit;
+    this.onFragment = onFragment;
+    this.buffer = Buffer.alloc(0);
+    this.pending = []; // Boxes read since the last init segment or fragment
+    this.tracks = null;
+    this.fragment = null; // { duration, independent } of the pending "moof"
+  }
+
+  /**
+   * Add a chunk of data
+   * Throws on invalid data, dropping everything buffered so far
+   */
+  push(chunk) {
+    this.buffer =
+      this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let offset = 0;
+    try {
+      let box;
+      while ((box = readBox(this.buffer, offset))) {
+        this._onBox(this.buffer.subarray(box.start, box.start + box.size), box);
+        offset += box.size;
+      }
+    } catch (err) {
+      this.buffer = Buffer.alloc(0);
+      this.pending = [];
+      this.fragment = null;
+      throw err;
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  /**
+   * Handle a complete top-level box
+   */
+  _onBox(data, box) {
+    const localBox = { ...box, start: 0 };
+    switch (box.type) {
+      case "moov":
+        this.pending.push(data);
+        this.tracks = parseMovie(data, localBox);
+        this.onInit(Buffer.concat(this.pending), this.tracks);
+        this.pending = [];
+        break;
+      case "moof":
+        this.pending = [data];
+        this.fragment = this.tracks
+          ? parseFragment(data, localBox, this.tracks)
+          : null;
+        break;
+      case "mdat":
+        if (!this.fragment) return; // Data before the init segment
+        this.pending.push(data);
+        this.onFragment(Buffer.concat(this.pending), this.fragment);
+        this.pending = [];
+        this.fragment = null;
+        break;
+      default:
+        // "ftyp" belongs to the init segment, "styp" and others to the next
+        // fragment
+        this.pending.push(data);
+    }
+  }
+}
+
+module.exports = {
+  readBox,
+  parseMovie,
+  getCodecs,
+  parseFragment,
+  FragmentReader,
+};
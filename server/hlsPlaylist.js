@@ -0,0 +1,168 @@
+const fs = require("fs");
+
+/**
+ * Parse an HLS media playlist into its segments
+ * Returns program date times as epoch milliseconds (null when not present)
+ * and the init segment URI of fMP4 segments (null for MPEG-TS)
+ */
+function parseMediaPlaylist(content) {
+  const playlist = {
+    targetDuration: 0,
+    mediaSequence: 0,
+    endList: false,
+    segments: [],
+  };
+
+  let duration = null;
+  let programDateTime = null;
+  let initUri = null;
+
+  content.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith("#EXT-X-TARGETDURATION:")) {
+      playlist.targetDuration = parseFloat(line.split(":")[1]) || 0;
+    } else if (line.startsWith("#EXT-X-MEDIA-SEQUENCE:")) {
+      playlist.mediaSequence = parseInt(line.split(":")[1], 10) || 0;
+    } else if (line.startsWith("#EXT-X-ENDLIST")) {
+      playlist.endList = true;
+    } else if (line.startsWith("#EXTINF:")) {
+      duration = parseFloat(line.substring("#EXTINF:".length));
+    } else if (line.startsWith("#EXT-X-PROGRAM-DATE-TIME:")) {
+      const parsed = Date.parse(
+        line.substring("#EXT-X-PROGRAM-DATE-TIME:".length)
+      );
+      programDateTime = isNaN(parsed) ? null : parsed;
+    } else if (line.startsWith("#EXT-X-MAP:")) {
+      // fMP4 init segment of the following segments
+      const uriMatch = line.match(/URI="([^"]+)"/);
+      initUri = uriMatch ? uriMatch[1] : null;
+    } else if (!line.startsWith("#")) {
+      // Segment URI - completes the current segment entry
+      playlist.segments.push({
+        uri: line,
+        duration: duration || 0,
+        programDateTime: programDateTime,
+        initUri: initUri,
+      });
+      duration = null;
+      programDateTime = null;
+    }
+  });
+
+  return playlist;
+}
+
+/**
+ * Get the FFmpeg input for a live segment
+ * fMP4 segments can't be decoded without their init segment in front
+ */
+function getSegmentInput(segment) {
+  return segment.initPath
+    ? `concat:${segment.initPath}|${segment.path}`
+    : segment.path;
+}
+
+/**
+ * Get the size of the init segment (everything before the first "moof" box)
+ * at the start of a recorded fMP4 segment
+ */
+function getInitSegmentSize(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    const header = Buffer.alloc(8);
+    let offset = 0;
+    while (offset + 8 <= fileSize) {
+      fs.readSync(fd, header, 0, 8, offset);
+      const boxSize = header.readUInt32BE(0);
+      if (header.toString("latin1", 4, 8) === "moof") {
+        return offset;
+      }
+      // Sizes 0 (to end of file) and 1 (64-bit) aren't used by init boxes
+      if (boxSize < 8) break;
+      offset += boxSize;
+    }
+    throw new Error(`No media fragment found in ${filePath}`);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Build a VOD HLS playlist from recorded segments ({ uri, startTime, duration })
+ * Recorded fMP4 segments also have { size, initSize }: their init segment is
+ * stored in front of the media fragment and referenced by byte range
+ * Gaps between segments are marked as discontinuities
+ */
+function buildVodPlaylist(segments, gapTolerance = 0.5) {
+  const targetDuration = Math.ceil(
+    segments.reduce((max, segment) => Math.max(max, segment.duration), 1)
+  );
+  const lines = [
+    "#EXTM3U",
+    "#EXT-X-VERSION:6",
+    "#EXT-X-PLAYLIST-TYPE:VOD",
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    "#EXT-X-MEDIA-SEQUENCE:0",
+    "#EXT-X-INDEPENDENT-SEGMENTS",
+  ];
+
+  let previousEnd = null;
+  segments.forEach((segment) => {
+    if (
+      previousEnd !== null &&
+      Math.abs(segment.startTime - previousEnd) > gapTolerance * 1000
+    ) {
+      lines.push("#EXT-X-DISCONTINUITY");
+    }
+    if (segment.initSize) {
+      lines.push(
+        `#EXT-X-MAP:URI="${segment.uri}",BYTERANGE="${segment.initSize}@0"`
+      );
+    }
+    lines.push(
+      `#EXT-X-PROGRAM-DATE-TIME:${new Date(segment.startTime).toISOString()}`
+    );
+    lines.push(`#EXTINF:${segment.duration.toFixed(6)},`);
+    if (segment.initSize) {
+      lines.push(
+        `#EXT-X-BYTERANGE:${segment.size - segment.initSize}@${
+          segment.initSize
+        }`
+      );
+    }
+    lines.push(segment.uri);
+    previousEnd = segment.startTime + segment.duration * 1000;
+  });
+
+  lines.push("#EXT-X-ENDLIST");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Build a master playlist listing the renditions of a live stream
+ * Each rendition has { uri, bandwidth, width, height }, width and height
+ * being null when the resolution isn't known
+ */
+function buildMasterPlaylist(renditions) {
+  const lines = ["#EXTM3U", "#EXT-X-VERSION:3", "#EXT-X-INDEPENDENT-SEGMENTS"];
+  renditions.forEach((rendition) => {
+    const attributes = [`BANDWIDTH=${rendition.bandwidth}`];
+    if (rendition.width && rendition.height) {
+      attributes.push(`RESOLUTION=${rendition.width}x${rendition.height}`);
+    }
+    lines.push(`#EXT-X-STREAM-INF:${attributes.join(",")}`);
+    lines.push(rendition.uri);
+  });
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  parseMediaPlaylist,
+  getSegmentInput,
+  getInitSegmentSize,
+  buildVodPlaylist,
+  buildMasterPlaylist,
+};
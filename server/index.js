@@ -1,25 +1,517 @@
 const express = require("express");
 const cors = require("cors");
+const fs = require("fs");
 const path = require("path");
 const config = require("./config");
 const StreamManager = require("./streamManager");
+const CameraStore = require("./cameraStore");
+const StatusStream = require("./statusStream");
+const Metrics = require("./metrics");
+const StreamWatchdog = require("./streamWatchdog");
+const ViewerTracker = require("./viewerTracker");
+const WebRtcGateway = require("./webrtcGateway");
+const MseGateway = require("./mseGateway");
+const MjpegStreamer = require("./mjpegStreamer");
+const SegmentWatcher = require("./segmentWatcher");
+const RecordingManager = require("./recordingManager");
+const ClipExporter = require("./clipExporter");
+const SnapshotManager = require("./snapshotManager");
+const EventStore = require("./eventStore");
+const MotionDetector = require("./motionDetector");
+const UserStore = require("./userStore");
+const AuthManager = require("./authManager");
+const ShareLinkManager = require("./shareLinkManager");
+const {
+  canAccessCamera,
+  requireRole,
+  requireCameraAccess,
+} = require("./permissions");
+const {
+  buildVodPlaylist,
+  buildMasterPlaylist,
+  getInitSegmentSize,
+} = require("./hlsPlaylist");
+const { readCamerasFile } = require("./cameraFile");
+const { validateConfig } = require("./configValidator");
 
 const app = express();
+const userStore = new UserStore();
+const shareLinkManager = new ShareLinkManager();
+const authManager = new AuthManager(userStore, shareLinkManager);
 const streamManager = new StreamManager();
+const cameraStore = new CameraStore();
+const statusStream = new StatusStream(streamManager);
+const segmentWatcher = new SegmentWatcher(streamManager);
+const recordingManager = new RecordingManager(streamManager, segmentWatcher);
+const clipExporter = new ClipExporter(recordingManager, segmentWatcher);
+const snapshotManager = new SnapshotManager(segmentWatcher);
+const eventStore = new EventStore();
+const metrics = new Metrics(streamManager, segmentWatcher);
+const streamWatchdog = new StreamWatchdog(streamManager, segmentWatcher);
+const viewerTracker = new ViewerTracker(streamManager);
+const webrtcGateway = new WebRtcGateway(streamManager, viewerTracker);
+const mseGateway = new MseGateway(streamManager, viewerTracker, authManager);
+const mjpegStreamer = new MjpegStreamer(streamManager);
+const motionDetector = new MotionDetector(
+  streamManager,
+  segmentWatcher,
+  snapshotManager,
+  eventStore
+);
 
 // Middleware
-app.use(cors());
+app.use(
+  cors({
+    origin: config.corsOrigins.length > 0 ? config.corsOrigins : false,
+    credentials: true,
+  })
+);
 app.use(express.json());
 
+// Require login for everything below except the login page
+app.use(authManager.middleware());
+
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, "..", "public")));
 
 // Serve HLS segments and playlists
+app.use("/hls/:cameraId", requireCameraAccess, (req, res, next) => {
+  metrics.countRequest(
+    req.params.cameraId,
+    req.path.endsWith(".m3u8") ? "playlist" : "segment"
+  );
+  viewerTracker.touch(req.params.cameraId);
+
+  // Low-Latency HLS players request the part in the preload hint before it
+  // is written - hold the request until it is
+  const writer = streamManager.getLowLatencyWriter(req.params.cameraId);
+  const partMatch = req.path.match(/^\/part_(\d+)\.m4s$/);
+  if (writer && partMatch) {
+    const partNumber = parseInt(partMatch[1], 10);
+    if (!writer.canWaitForPart(partNumber)) {
+      return res.status(404).json({ error: "Part not found" });
+    }
+    writer
+      .waitForPart(partNumber)
+      .then(() => next())
+      .catch(next);
+    return;
+  }
+  next();
+});
 app.use("/hls", express.static(config.hlsOutputDir));
 
+// Serve recorded segments
+app.use("/recordings/:cameraId", requireCameraAccess);
+app.use("/recordings", express.static(config.recordingsDir));
+
+// Reject routes for cameras the user may not access
+app.param("cameraId", (req, res, next, cameraId) => {
+  if (canAccessCamera(req.user, cameraId)) {
+    return next();
+  }
+  res.status(403).json({ error: `Access to camera ${cameraId} denied` });
+});
+
+/**
+ * Parse a time query parameter given as epoch milliseconds or an ISO date
+ */
+function parseTimeParam(value, fallback) {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+// Log in with username and password
+app.post("/api/auth/login", (req, res) => {
+  const { username, password } = req.body || {};
+  if (authManager.isLoginThrottled(req.ip)) {
+    return res
+      .status(429)
+      .json({ error: "Too many failed logins. Try again later." });
+  }
+
+  authManager
+    .login(req, res, username, password)
+    .then((user) => {
+      if (!user) {
+        authManager.recordFailedLogin(req.ip);
+        console.warn(`Failed login for "${username}" from ${req.ip}`);
+        return res.status(401).json({ error: "Invalid username or password" });
+      }
+      console.log(`User ${user.username} logged in from ${req.ip}`);
+      res.json(userStore.toPublicUser(user));
+    })
+    .catch((err) => {
+      console.error("Error during login:", err);
+      res.status(500).json({ error: "Login failed" });
+    });
+});
+
+// Log out of the current session
+app.post("/api/auth/logout", (req, res) => {
+  authManager.logout(req, res);
+  res.json({ message: "Logged out" });
+});
+
+// Current user
+app.get("/api/auth/me", (req, res) => {
+  if (!req.user) {
+    return res.json({ username: null, authEnabled: false });
+  }
+  res.json({ ...userStore.toPublicUser(req.user), authEnabled: true });
+});
+
+// Create an API token for scripts (shown only once)
+app.post("/api/auth/tokens", (req, res) => {
+  if (!req.user) {
+    return res.status(400).json({ error: "Authentication is disabled" });
+  }
+  const name = (req.body && req.body.name) || "API token";
+  res.status(201).json(userStore.createToken(req.user.username, name));
+});
+
+// Revoke an API token of the current user
+app.delete("/api/auth/tokens/:tokenId", (req, res) => {
+  if (!req.user) {
+    return res.status(400).json({ error: "Authentication is disabled" });
+  }
+  try {
+    userStore.revokeToken(req.user.username, req.params.tokenId);
+    res.json({ message: `Token ${req.params.tokenId} revoked` });
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
 // Get list of cameras
 app.get("/api/cameras", (req, res) => {
-  res.json(streamManager.getCameras());
+  res.json(streamManager.getCameras(req.user));
+});
+
+// Add a camera and start streaming it
+app.post("/api/cameras", requireRole("admin"), (req, res) => {
+  if (req.body && cameraStore.get(req.body.id)) {
+    return res
+      .status(409)
+      .json({ error: `Camera ${req.body.id} already exists` });
+  }
+  let camera;
+  try {
+    camera = cameraStore.add(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  streamManager.addCamera(camera);
+  res.status(201).json(cameraStore.toPublicCamera(camera));
+});
+
+// Get the settings of a camera
+app.get("/api/cameras/:cameraId", requireRole("admin"), (req, res) => {
+  const camera = cameraStore.get(req.params.cameraId);
+  if (!camera) {
+    return res
+      .status(404)
+      .json({ error: `Camera ${req.params.cameraId} not found` });
+  }
+  res.json(cameraStore.toPublicCamera(camera));
+});
+
+// Change camera settings and restart its stream
+app.put("/api/cameras/:cameraId", requireRole("admin"), (req, res) => {
+  const cameraId = req.params.cameraId;
+  if (!cameraStore.get(cameraId)) {
+    return res.status(404).json({ error: `Camera ${cameraId} not found` });
+  }
+  let camera;
+  try {
+    camera = cameraStore.update(cameraId, req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  streamManager.updateCamera(camera);
+  res.json(cameraStore.toPublicCamera(camera));
+});
+
+// Remove a camera and stop its stream (recordings and events are kept)
+app.delete("/api/cameras/:cameraId", requireRole("admin"), (req, res) => {
+  const cameraId = req.params.cameraId;
+  if (!cameraStore.get(cameraId)) {
+    return res.status(404).json({ error: `Camera ${cameraId} not found` });
+  }
+  cameraStore.remove(cameraId);
+  streamManager.removeCamera(cameraId);
+  res.json({ message: `Camera ${cameraId} removed` });
+});
+
+// Codecs detected by ffprobe and the settings chosen from them
+app.get("/api/cameras/:cameraId/probe", (req, res) => {
+  const probe = streamManager.getProbe(req.params.cameraId);
+  if (!probe) {
+    return res
+      .status(404)
+      .json({ error: `Camera ${req.params.cameraId} not found` });
+  }
+  res.json(probe);
+});
+
+// Stream details for troubleshooting a camera
+app.get("/api/cameras/:cameraId/diagnostics", (req, res) => {
+  const cameraId = req.params.cameraId;
+  const diagnostics = streamManager.getDiagnostics(cameraId);
+  if (!diagnostics) {
+    return res.status(404).json({ error: `Camera ${cameraId} not found` });
+  }
+  const segment = metrics.getSegmentStats(cameraId);
+  res.json({
+    ...diagnostics,
+    bitrate: segment ? segment.bitrate : null,
+    lastSegmentAt: segment ? segment.receivedAt : null,
+  });
+});
+
+// Latest frame of a running stream as JPEG
+app.get("/api/cameras/:cameraId/snapshot.jpg", (req, res) => {
+  const cameraId = req.params.cameraId;
+  if (!streamManager.getCamera(cameraId)) {
+    return res.status(404).json({ error: `Camera ${cameraId} not found` });
+  }
+
+  snapshotManager
+    .getSnapshot(cameraId)
+    .then((snapshot) => {
+      res.setHeader("Content-Type", "image/jpeg");
+      res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+      res.setHeader(
+        "Last-Modified",
+        new Date(snapshot.timestamp).toUTCString()
+      );
+      res.send(snapshot.image);
+    })
+    .catch((err) => {
+      console.warn(`[${cameraId}] Snapshot unavailable: ${err.message}`);
+      res
+        .status(503)
+        .json({ error: "Snapshot unavailable. Stream may not be running." });
+    });
+});
+
+// MJPEG stream for clients that can't play HLS (e.g. wall displays, <img>
+// embeds)
+app.get("/api/cameras/:cameraId/mjpeg", (req, res) => {
+  const cameraId = req.params.cameraId;
+  if (!mjpegStreamer.isAvailable(cameraId)) {
+    return res
+      .status(404)
+      .json({ error: `Camera ${cameraId} has no MJPEG output` });
+  }
+  mjpegStreamer.addViewer(cameraId, res);
+});
+
+// WebRTC viewing (WHEP): post an SDP offer, get the answer and a session
+// URL in Location to delete when leaving
+app.post(
+  "/api/cameras/:cameraId/whep",
+  express.text({ type: "application/sdp" }),
+  (req, res) => {
+    const cameraId = req.params.cameraId;
+    if (!webrtcGateway.isAvailable(cameraId)) {
+      return res
+        .status(404)
+        .json({ error: `Camera ${cameraId} has no WebRTC output` });
+    }
+    if (typeof req.body !== "string" || !req.body.startsWith("v=")) {
+      return res.status(400).json({
+        error: "Expected an SDP offer (Content-Type: application/sdp)",
+      });
+    }
+
+    webrtcGateway
+      .createSession(cameraId, req.body)
+      .then(({ sessionId, answer }) => {
+        res.setHeader("Content-Type", "application/sdp");
+        res.setHeader("Location", `/api/cameras/${cameraId}/whep/${sessionId}`);
+        res.status(201).send(answer);
+      })
+      .catch((err) => {
+        console.warn(`[${cameraId}] WebRTC negotiation failed: ${err.message}`);
+        res.status(err.status || 400).json({ error: err.message });
+      });
+  }
+);
+
+// End a WebRTC session
+app.delete("/api/cameras/:cameraId/whep/:sessionId", (req, res) => {
+  if (!webrtcGateway.closeSession(req.params.cameraId, req.params.sessionId)) {
+    return res.status(404).json({ error: "WebRTC session not found" });
+  }
+  res.status(204).end();
+});
+
+// Camera events (e.g. motion), newest first
+app.get("/api/events", (req, res) => {
+  const from = parseTimeParam(req.query.from, 0);
+  const to = parseTimeParam(req.query.to, Date.now());
+  const limit = parseInt(req.query.limit || "100", 10);
+  if (from === null || to === null || isNaN(limit) || limit < 1) {
+    return res.status(400).json({ error: "Invalid from/to/limit parameters" });
+  }
+
+  const events = eventStore.list({
+    cameraId: req.query.cameraId || null,
+    from: from,
+    to: to,
+    limit: limit,
+    filter: (event) => canAccessCamera(req.user, event.cameraId),
+  });
+  res.json(
+    events.map((event) => ({
+      ...event,
+      snapshot: event.snapshot ? `/api/events/${event.id}/snapshot.jpg` : null,
+    }))
+  );
+});
+
+// Snapshot captured for an event
+app.get("/api/events/:eventId/snapshot.jpg", (req, res) => {
+  const event = eventStore.get(req.params.eventId);
+  if (event && !canAccessCamera(req.user, event.cameraId)) {
+    return res
+      .status(403)
+      .json({ error: `Access to camera ${event.cameraId} denied` });
+  }
+  const snapshotPath = event ? eventStore.getSnapshotPath(event) : null;
+  if (!snapshotPath) {
+    return res.status(404).json({ error: "Event snapshot not found" });
+  }
+  res.sendFile(snapshotPath);
+});
+
+// Manually trigger event recording for a camera
+app.post(
+  "/api/cameras/:cameraId/trigger",
+  requireRole("operator"),
+  (req, res) => {
+    const cameraId = req.params.cameraId;
+    const camera = streamManager.getCamera(cameraId);
+    if (!camera) {
+      return res.status(404).json({ error: `Camera ${cameraId} not found` });
+    }
+
+    const timestamp = Date.now();
+    const recordingUntil = recordingManager.trigger(cameraId, timestamp);
+    if (recordingUntil === null) {
+      return res.status(409).json({
+        error: `Recording is disabled for camera ${cameraId}`,
+      });
+    }
+
+    // Log the trigger with the latest frame if one is available
+    snapshotManager
+      .getSnapshot(cameraId)
+      .then((snapshot) => snapshot.image)
+      .catch(() => null)
+      .then((image) => {
+        eventStore.add(
+          {
+            type: "manual",
+            cameraId: cameraId,
+            cameraName: camera.name,
+            timestamp: timestamp,
+            reason: req.body.reason || null,
+          },
+          image
+        );
+      });
+
+    res.json({
+      message: `Recording triggered for camera ${cameraId}`,
+      recordingUntil: recordingUntil,
+    });
+  }
+);
+
+// Create a signed, expiring link to view one camera without an account
+app.post(
+  "/api/cameras/:cameraId/share",
+  requireRole("operator"),
+  (req, res) => {
+    const cameraId = req.params.cameraId;
+    if (!streamManager.getCamera(cameraId)) {
+      return res.status(404).json({ error: `Camera ${cameraId} not found` });
+    }
+
+    const expiresIn =
+      req.body.expiresIn !== undefined
+        ? Number(req.body.expiresIn)
+        : config.share.defaultTtl;
+    if (!(expiresIn > 0) || expiresIn > config.share.maxTtl) {
+      return res.status(400).json({
+        error: `expiresIn must be between 1 and ${config.share.maxTtl} seconds`,
+      });
+    }
+
+    const expiresAt = Date.now() + Math.round(expiresIn * 1000);
+    const token = shareLinkManager.createToken(cameraId, expiresAt);
+    const baseUrl = (
+      config.share.baseUrl || `${req.protocol}://${req.get("host")}`
+    ).replace(/\/$/, "");
+    res.status(201).json({
+      cameraId: cameraId,
+      url: `${baseUrl}/share.html?camera=${encodeURIComponent(
+        cameraId
+      )}&share=${encodeURIComponent(token)}`,
+      expiresAt: expiresAt,
+    });
+  }
+);
+
+// Camera details for the share viewer page
+app.get("/api/share/:cameraId", (req, res) => {
+  const camera = streamManager.getCamera(req.params.cameraId);
+  if (!camera) {
+    return res
+      .status(404)
+      .json({ error: `Camera ${req.params.cameraId} not found` });
+  }
+  const renditions = streamManager.getRenditions(camera.id);
+  res.json({
+    cameraId: camera.id,
+    cameraName: camera.name,
+    renditions: renditions
+      ? renditions.map((rendition) => rendition.name)
+      : null,
+    expiresAt: req.user && req.user.share ? req.user.share.expiresAt : null,
+  });
+});
+
+// Validate the camera and FFmpeg configuration, including edits to the
+// cameras file that were rejected and not applied
+app.get("/api/config/validate", requireRole("admin"), (req, res) => {
+  let cameras = config.cameras;
+  let source = "running";
+  let readError = null;
+  if (fs.existsSync(config.camerasFile)) {
+    try {
+      cameras = readCamerasFile(config.camerasFile);
+      source = config.camerasFile;
+    } catch (err) {
+      readError = err.message;
+    }
+  }
+
+  const result = validateConfig({ cameras: cameras, ffmpeg: config.ffmpeg });
+  if (readError) {
+    result.valid = false;
+    result.errors.unshift({
+      cameraId: null,
+      path: "cameras",
+      message: `could not read ${config.camerasFile}: ${readError}`,
+    });
+  }
+  res.json({ source: source, ...result });
 });
 
 // Health check endpoint
@@ -36,32 +528,110 @@ app.get("/api/health", (req, res) => {
 // Stream status endpoint (all cameras or specific camera)
 app.get("/api/stream/status", (req, res) => {
   const cameraId = req.query.cameraId;
-  const status = streamManager.getStatus(cameraId);
-  res.json(status);
+  if (cameraId) {
+    if (!canAccessCamera(req.user, cameraId)) {
+      return res
+        .status(403)
+        .json({ error: `Access to camera ${cameraId} denied` });
+    }
+    return res.json(streamManager.getStatus(cameraId));
+  }
+
+  // Only include cameras the user may access
+  const allStatus = streamManager.getStatus();
+  Object.keys(allStatus).forEach((id) => {
+    if (!canAccessCamera(req.user, id)) {
+      delete allStatus[id];
+    }
+  });
+  res.json(allStatus);
+});
+
+/**
+ * Resolve the camera of a start/stop request (first accessible camera by default)
+ * Sends a 403 and returns null if the user may not access it
+ */
+function resolveControlCamera(req, res) {
+  const cameraId =
+    req.body.cameraId || streamManager.getCameras(req.user)[0]?.id;
+  if (!cameraId || !canAccessCamera(req.user, cameraId)) {
+    res.status(403).json({ error: `Access to camera ${cameraId} denied` });
+    return null;
+  }
+  return cameraId;
+}
+
+// Prometheus metrics of the cameras the user may access
+app.get("/metrics", (req, res) => {
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(metrics.render(req.user));
+});
+
+// Live stream status and camera list changes as Server-Sent Events
+app.get("/api/status/events", (req, res) => {
+  statusStream.handle(req, res);
 });
 
 // Start stream endpoint (specific camera or first camera)
-app.post("/api/stream/start", (req, res) => {
-  const cameraId = req.body.cameraId;
+app.post("/api/stream/start", requireRole("operator"), (req, res) => {
+  const cameraId = resolveControlCamera(req, res);
+  if (!cameraId) return;
   streamManager.startStream(cameraId);
-  res.json({ message: `Stream started for camera ${cameraId || "default"}` });
+  res.json({ message: `Stream started for camera ${cameraId}` });
 });
 
 // Stop stream endpoint (specific camera or first camera)
-app.post("/api/stream/stop", (req, res) => {
-  const cameraId = req.body.cameraId;
+app.post("/api/stream/stop", requireRole("operator"), (req, res) => {
+  const cameraId = resolveControlCamera(req, res);
+  if (!cameraId) return;
   streamManager.stopStream(cameraId);
-  res.json({ message: `Stream stopped for camera ${cameraId || "default"}` });
+  res.json({ message: `Stream stopped for camera ${cameraId}` });
 });
 
-// HLS playlist endpoint for specific camera
-app.get("/api/stream/:cameraId/playlist.m3u8", (req, res) => {
+// HLS master playlist of a camera with an ABR ladder
+app.get("/api/stream/:cameraId/master.m3u8", (req, res) => {
   const cameraId = req.params.cameraId;
+  const renditions = streamManager.getRenditions(cameraId);
+  if (!renditions) {
+    return res
+      .status(404)
+      .json({ error: `Camera ${cameraId} has no ABR ladder running` });
+  }
+  metrics.countRequest(cameraId, "playlist");
+  viewerTracker.touch(cameraId);
+
+  const shareQuery =
+    typeof req.query.share === "string"
+      ? `&share=${encodeURIComponent(req.query.share)}`
+      : "";
+  const playlist = buildMasterPlaylist(
+    renditions.map((rendition) => ({
+      ...rendition,
+      uri: `/api/stream/${cameraId}/playlist.m3u8?rendition=${encodeURIComponent(
+        rendition.name
+      )}${shareQuery}`,
+    }))
+  );
+  res.setHeader("Content-Type", "application/vnd.apple.mpegurl");
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.send(playlist);
+});
+
+/**
+ * Send a camera's live media playlist (relative to its HLS directory) with
+ * segment URIs rewritten to /hls paths
+ * Sends an empty playlist while the stream is starting, so players retry
+ */
+function sendLivePlaylist(req, res, cameraId, playlistFile) {
   const playlistPath = path.resolve(
     config.hlsOutputDir,
     cameraId,
-    "playlist.m3u8"
+    playlistFile
   );
+  const directory = path.posix.dirname(playlistFile);
+  const uriPrefix = `/hls/${cameraId}/${
+    directory === "." ? "" : `${directory}/`
+  }`;
 
   // Read and modify playlist to fix segment paths
   const fs = require("fs");
@@ -73,13 +643,22 @@ app.get("/api/stream/:cameraId/playlist.m3u8", (req, res) => {
       playlistContent = playlistContent.replace(/#EXT-X-ENDLIST\s*\n?/g, "");
       // Replace relative segment paths with absolute paths
       // Matches lines that are just segment filenames (not starting with # or /)
+      // Segments of a shared stream carry the share token as well
+      const shareQuery =
+        typeof req.query.share === "string"
+          ? `?share=${encodeURIComponent(req.query.share)}`
+          : "";
       playlistContent = playlistContent.replace(
-        /^([^#\/\s][^\s]*\.ts)$/gm,
-        `/hls/${cameraId}/$1`
+        /^([^#\/\s][^\s]*\.(ts|m4s))$/gm,
+        (segment) => `${uriPrefix}${segment}${shareQuery}`
+      );
+      // fMP4 init segment and Low-Latency HLS parts
+      playlistContent = playlistContent.replace(
+        /^(#EXT-X-(?:MAP|PART|PRELOAD-HINT):.*?URI=")([^"\/][^"]*)"/gm,
+        (line, prefix, uri) => `${prefix}${uriPrefix}${uri}${shareQuery}"`
       );
 
       res.setHeader("Content-Type", "application/vnd.apple.mpegurl");
-      res.setHeader("Access-Control-Allow-Origin", "*");
       res.send(playlistContent);
     } else {
       // Return a valid empty HLS playlist instead of 404
@@ -92,7 +671,6 @@ app.get("/api/stream/:cameraId/playlist.m3u8", (req, res) => {
 # Stream is starting, please wait...
 `;
       res.setHeader("Content-Type", "application/vnd.apple.mpegurl");
-      res.setHeader("Access-Control-Allow-Origin", "*");
       res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
       res.send(emptyPlaylist);
     }
@@ -107,19 +685,84 @@ app.get("/api/stream/:cameraId/playlist.m3u8", (req, res) => {
 # Error reading playlist, retrying...
 `;
     res.setHeader("Content-Type", "application/vnd.apple.mpegurl");
-    res.setHeader("Access-Control-Allow-Origin", "*");
     res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
     res.status(200).send(emptyPlaylist);
   }
+}
+
+// HLS playlist endpoint for specific camera
+// With an ABR ladder, ?rendition= selects the rendition (default: the first)
+// Low-Latency HLS cameras support blocking playlist reload: with ?_HLS_msn=
+// (and ?_HLS_part=) the response waits until that segment (or part) is listed
+app.get("/api/stream/:cameraId/playlist.m3u8", async (req, res) => {
+  const cameraId = req.params.cameraId;
+  const playlistName = streamManager.getPlaylistName(
+    cameraId,
+    typeof req.query.rendition === "string" ? req.query.rendition : null
+  );
+  if (!playlistName) {
+    return res
+      .status(404)
+      .json({ error: `Rendition ${req.query.rendition} not found` });
+  }
+  metrics.countRequest(cameraId, "playlist");
+  viewerTracker.touch(cameraId);
+
+  try {
+    const writer = streamManager.getLowLatencyWriter(cameraId);
+    const { _HLS_msn: msnParam, _HLS_part: partParam } = req.query;
+    if (writer && (msnParam !== undefined || partParam !== undefined)) {
+      const msn = /^\d+$/.test(msnParam) ? parseInt(msnParam, 10) : null;
+      const part =
+        partParam === undefined
+          ? null
+          : /^\d+$/.test(partParam)
+          ? parseInt(partParam, 10)
+          : NaN;
+      if (msn === null || Number.isNaN(part) || !writer.canWaitFor(msn, part)) {
+        return res
+          .status(400)
+          .json({ error: "Invalid _HLS_msn or _HLS_part parameter" });
+      }
+      await writer.waitFor(msn, part);
+    }
+    sendLivePlaylist(req, res, cameraId, playlistName);
+  } catch (err) {
+    console.error("Error serving playlist:", err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Error reading playlist" });
+    }
+  }
+});
+
+// HLS playlist of a camera's sub stream
+app.get("/api/stream/:cameraId/sub/playlist.m3u8", (req, res) => {
+  const cameraId = req.params.cameraId;
+  const camera = streamManager.getCamera(cameraId);
+  if (!camera || !camera.subRtspUrl) {
+    return res
+      .status(404)
+      .json({ error: `Camera ${cameraId} has no sub stream` });
+  }
+  metrics.countRequest(cameraId, "playlist");
+  viewerTracker.touch(cameraId);
+  sendLivePlaylist(req, res, cameraId, "sub/playlist.m3u8");
 });
 
 // Legacy playlist endpoint (uses first camera)
 app.get("/api/stream/playlist.m3u8", (req, res) => {
   const firstCameraId = config.cameras[0]?.id || "camera1";
+  if (!canAccessCamera(req.user, firstCameraId)) {
+    return res
+      .status(403)
+      .json({ error: `Access to camera ${firstCameraId} denied` });
+  }
+  metrics.countRequest(firstCameraId, "playlist");
+  viewerTracker.touch(firstCameraId);
   const playlistPath = path.resolve(
     config.hlsOutputDir,
     firstCameraId,
-    "playlist.m3u8"
+    streamManager.getPlaylistName(firstCameraId)
   );
 
   // Read and modify playlist to fix segment paths
@@ -128,13 +771,17 @@ app.get("/api/stream/playlist.m3u8", (req, res) => {
     if (fs.existsSync(playlistPath)) {
       let playlistContent = fs.readFileSync(playlistPath, "utf8");
       // Replace relative segment paths with absolute paths
-      playlistContent = playlistContent.replace(
-        /^(segment_\d+\.ts)$/gm,
-        `/hls/${firstCameraId}/$1`
-      );
+      playlistContent = playlistContent
+        .replace(
+          /^(segment_([\w-]+_)?\d+\.(ts|m4s))$/gm,
+          `/hls/${firstCameraId}/$1`
+        )
+        .replace(
+          /^(#EXT-X-(?:MAP|PART|PRELOAD-HINT):.*?URI=")([^"\/][^"]*)"/gm,
+          `$1/hls/${firstCameraId}/$2"`
+        );
 
       res.setHeader("Content-Type", "application/vnd.apple.mpegurl");
-      res.setHeader("Access-Control-Allow-Origin", "*");
       res.send(playlistContent);
     } else {
       res
@@ -147,21 +794,194 @@ app.get("/api/stream/playlist.m3u8", (req, res) => {
   }
 });
 
+// Recorded time ranges for the playback timeline
+app.get("/api/recordings/:cameraId/timeline", (req, res) => {
+  const cameraId = req.params.cameraId;
+  if (!streamManager.getCamera(cameraId)) {
+    return res.status(404).json({ error: `Camera ${cameraId} not found` });
+  }
+
+  const to = parseTimeParam(req.query.to, Date.now());
+  const from = parseTimeParam(req.query.from, to - 24 * 60 * 60 * 1000);
+  if (from === null || to === null || from >= to) {
+    return res.status(400).json({ error: "Invalid from/to time range" });
+  }
+
+  res.json({
+    cameraId: cameraId,
+    from: from,
+    to: to,
+    ranges: recordingManager.getTimeline(cameraId, from, to),
+  });
+});
+
+// Export a time range as a downloadable MP4 clip
+app.get("/api/recordings/:cameraId/clip.mp4", (req, res) => {
+  const cameraId = req.params.cameraId;
+  if (!streamManager.getCamera(cameraId)) {
+    return res.status(404).json({ error: `Camera ${cameraId} not found` });
+  }
+
+  const from = parseTimeParam(req.query.from, null);
+  const to = parseTimeParam(req.query.to, null);
+  if (from === null || to === null || from >= to) {
+    return res.status(400).json({ error: "Invalid from/to time range" });
+  }
+  if (to - from > config.clip.maxDuration * 1000) {
+    return res.status(400).json({
+      error: `Clips are limited to ${config.clip.maxDuration} seconds`,
+    });
+  }
+
+  clipExporter
+    .exportClip(cameraId, from, to)
+    .then((clipPath) => {
+      const fileName = `${cameraId}_${new Date(from)
+        .toISOString()
+        .replace(/[:.]/g, "-")}.mp4`;
+      res.download(clipPath, fileName, (err) => {
+        if (err) {
+          console.error(`Error sending clip for ${cameraId}:`, err.message);
+        }
+        fs.rmSync(path.dirname(clipPath), { recursive: true, force: true });
+      });
+    })
+    .catch((err) => {
+      console.error(`Error exporting clip for ${cameraId}:`, err.message);
+      const status = err.message.startsWith("No footage") ? 404 : 500;
+      res.status(status).json({ error: err.message });
+    });
+});
+
+// VOD playlist of recorded footage for a time range
+app.get("/api/recordings/:cameraId", (req, res) => {
+  const cameraId = req.params.cameraId;
+  if (!streamManager.getCamera(cameraId)) {
+    return res.status(404).json({ error: `Camera ${cameraId} not found` });
+  }
+
+  const to = parseTimeParam(req.query.to, Date.now());
+  const from = parseTimeParam(req.query.from, to - 60 * 60 * 1000);
+  if (from === null || to === null || from >= to) {
+    return res.status(400).json({ error: "Invalid from/to time range" });
+  }
+
+  try {
+    const segments = recordingManager.listSegments(cameraId, from, to);
+    if (segments.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "No recordings found in the requested time range" });
+    }
+
+    const playlist = buildVodPlaylist(
+      segments.map((segment) => {
+        const entry = {
+          uri: `/recordings/${cameraId}/${segment.day}/${segment.file}`,
+          startTime: segment.startTime,
+          duration: segment.duration,
+        };
+        if (segment.file.endsWith(".mp4")) {
+          entry.size = fs.statSync(segment.path).size;
+          entry.initSize = getInitSegmentSize(segment.path);
+        }
+        return entry;
+      })
+    );
+
+    res.setHeader("Content-Type", "application/vnd.apple.mpegurl");
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.send(playlist);
+  } catch (err) {
+    console.error(`Error building recording playlist for ${cameraId}:`, err);
+    res.status(500).json({ error: "Error reading recordings" });
+  }
+});
+
+/**
+ * Create the initial account from ADMIN_USERNAME/ADMIN_PASSWORD if no users exist
+ */
+async function ensureInitialUser() {
+  if (!config.auth.enabled) {
+    console.warn(
+      "WARNING: Authentication is disabled (AUTH_ENABLED=false) - anyone on the network can view and control cameras"
+    );
+    return;
+  }
+  if (userStore.hasUsers()) return;
+
+  if (config.auth.adminUsername && config.auth.adminPassword) {
+    await userStore.addUser(
+      config.auth.adminUsername,
+      config.auth.adminPassword,
+      "admin"
+    );
+    console.log(`Created initial user ${config.auth.adminUsername}`);
+  } else {
+    console.warn(
+      "No user accounts found. Set ADMIN_USERNAME and ADMIN_PASSWORD in .env or run: npm run user -- add <username> <password>"
+    );
+  }
+}
+
+ensureInitialUser().catch((err) => {
+  console.error("Error creating initial user:", err.message);
+});
+
 // Start the server
 const server = app.listen(config.port, "0.0.0.0", () => {
   console.log(`Server running on http://0.0.0.0:${config.port}`);
-  console.log(`RTSP URL: ${config.rtspUrl.replace(/:[^:@]+@/, ":****@")}`);
+  if (config.rtspUrl) {
+    console.log(`RTSP URL: ${config.rtspUrl.replace(/:[^:@]+@/, ":****@")}`);
+  }
   console.log(`HLS Output: ${config.hlsOutputDir}`);
+  console.log(`Recordings: ${config.recordingsDir}`);
 
-  // Auto-start all streams on server start
+  // Push status changes to browsers
+  statusStream.start();
+
+  // Auto-start all streams on server start (on-demand cameras wait for viewers)
   console.log("Auto-starting all camera streams...");
   streamManager.startAllStreams();
+
+  // Pick up edits to the cameras file without a restart
+  cameraStore.start();
+
+  // Archive completed segments for recording cameras
+  segmentWatcher.start();
+  recordingManager.start();
+
+  // Restart FFmpeg processes that stop producing output
+  streamWatchdog.start();
+
+  // Stop on-demand streams nobody watches
+  viewerTracker.start();
+
+  // Analyze segments of cameras with motion detection enabled
+  eventStore.start();
+  motionDetector.start();
+});
+
+// MSE viewers connect over WebSocket (/api/cameras/:cameraId/mse)
+server.on("upgrade", (req, socket, head) => {
+  mseGateway.handleUpgrade(req, socket, head);
 });
 
 // Graceful shutdown
 process.on("SIGTERM", () => {
   console.log("SIGTERM received, shutting down gracefully...");
   streamManager.stopAllStreams();
+  cameraStore.stop();
+  statusStream.stop();
+  recordingManager.stop();
+  motionDetector.stop();
+  eventStore.stop();
+  streamWatchdog.stop();
+  viewerTracker.stop();
+  webrtcGateway.closeAll();
+  mseGateway.closeAll();
+  mjpegStreamer.closeAll();
+  segmentWatcher.stop();
   server.close(() => {
     console.log("Server closed");
     process.exit(0);
@@ -171,12 +991,35 @@ process.on("SIGTERM", () => {
 process.on("SIGINT", () => {
   console.log("SIGINT received, shutting down gracefully...");
   streamManager.stopAllStreams();
+  cameraStore.stop();
+  statusStream.stop();
+  recordingManager.stop();
+  motionDetector.stop();
+  eventStore.stop();
+  streamWatchdog.stop();
+  viewerTracker.stop();
+  webrtcGateway.closeAll();
+  mseGateway.closeAll();
+  mjpegStreamer.closeAll();
+  segmentWatcher.stop();
   server.close(() => {
     console.log("Server closed");
     process.exit(0);
   });
 });
 
+// Apply edits to the cameras file to the running streams
+cameraStore.on("change", ({ added, updated, removed }) => {
+  removed.forEach((cameraId) => streamManager.removeCamera(cameraId));
+  updated.forEach((camera) => streamManager.updateCamera(camera));
+  added.forEach((camera) => streamManager.addCamera(camera));
+});
+
+// Motion starts event recording for cameras in 'event' recording mode
+motionDetector.on("motion", (event) => {
+  recordingManager.trigger(event.cameraId, event.timestamp);
+});
+
 // Log stream status changes
 streamManager.setStatusCallback((status) => {
   console.log(
@@ -0,0 +1,181 @@
+const { execFile } = require("child_process");
+const config = require("./config");
+
+// Pixel formats browsers can decode from H.264 without re-encoding
+const BROWSER_PIXEL_FORMATS = ["yuv420p", "yuvj420p"];
+
+// Camera fields that only apply when re-encoding
+const REENCODE_FIELDS = [
+  "maxFPS",
+  "videoScale",
+  "maxThreads",
+  "vsyncMode",
+  "abrLadder",
+];
+
+/**
+ * Parse an FFmpeg rate such as "25/1" into frames per second
+ */
+function parseRate(rate) {
+  const [num, den] = String(rate || "")
+    .split("/")
+    .map(Number);
+  if (!num || !den) return null;
+  return Math.round((num / den) * 100) / 100;
+}
+
+/**
+ * Whether a global default is set in the environment rather than left to
+ * probing (config holds a fallback value either way)
+ */
+function isSetInEnv(name) {
+  return Boolean(process.env[name]);
+}
+
+/**
+ * Runs ffprobe against camera inputs and picks video and audio settings
+ * the camera doesn't set explicitly
+ */
+class InputProber {
+  /**
+   * Probe the streams of a camera's RTSP input
+   * Resolves with { probedAt, error, video, audioStreams }, never rejects
+   */
+  probe(camera) {
+    const transport =
+      camera.rtspTransport || config.ffmpeg.rtspTransport || "tcp";
+    const args = [
+      "-v",
+      "error",
+      "-print_format",
+      "json",
+      "-show_streams",
+      "-rtsp_transport",
+      transport,
+      "-analyzeduration",
+      "5000000",
+      "-probesize",
+      "5000000",
+      camera.rtspUrl,
+    ];
+
+    return new Promise((resolve) => {
+      execFile(
+        process.env.FFPROBE_PATH || "ffprobe",
+        args,
+        { timeout: config.probe.timeout * 1000, maxBuffer: 1024 * 1024 },
+        (err, stdout, stderr) => {
+          const result = {
+            probedAt: Date.now(),
+            error: null,
+            video: null,
+            audioStreams: [],
+          };
+          if (err) {
+            result.error = err.killed
+              ? `ffprobe timed out after ${config.probe.timeout}s`
+              : (stderr || err.message).trim().split("\n").pop();
+            result.error = result.error.replace(/:[^:@\s]+@/g, ":****@");
+            return resolve(result);
+          }
+
+          let streams;
+          try {
+            streams = JSON.parse(stdout).streams || [];
+          } catch (parseErr) {
+            result.error = `Invalid ffprobe output: ${parseErr.message}`;
+            return resolve(result);
+          }
+
+          const video = streams.find((s) => s.codec_type === "video");
+          if (video) {
+            result.video = {
+              codec: video.codec_name,
+              profile: video.profile || null,
+              pixelFormat: video.pix_fmt || null,
+              width: video.width || null,
+              height: video.height || null,
+              fps:
+                parseRate(video.avg_frame_rate) ||
+                parseRate(video.r_frame_rate),
+            };
+          }
+          result.audioStreams = streams
+            .filter((s) => s.codec_type === "audio")
+            .map((s) => ({
+              index: s.index,
+              codec: s.codec_name,
+              sampleRate: s.sample_rate ? parseInt(s.sample_rate, 10) : null,
+              channels: s.channels || null,
+            }));
+          resolve(result);
+        }
+      );
+    });
+  }
+
+  /**
+   * Choose settings for the fields that neither a camera nor the global
+   * defaults in the environment set from a probe result
+   * Returns { settings, reasons } where reasons explain each choice
+   */
+  chooseSettings(camera, result) {
+    const settings = {};
+    const reasons = {};
+    if (!result || result.error) {
+      return { settings, reasons };
+    }
+
+    const video = result.video;
+    if (
+      video &&
+      camera.videoMode === undefined &&
+      !isSetInEnv("DEFAULT_VIDEO_MODE")
+    ) {
+      const browserCompatible =
+        BROWSER_PIXEL_FORMATS.includes(video.pixelFormat) &&
+        (video.codec === "h264" ||
+          (video.codec === "hevc" && config.ffmpeg.hevcPassthrough));
+      // Frame rate and scaling limits need re-encoding
+      const limited =
+        REENCODE_FIELDS.some((field) => camera[field] !== undefined) ||
+        config.ffmpeg.maxFPS ||
+        config.ffmpeg.scale;
+
+      if (browserCompatible && !limited) {
+        settings.videoMode = "passthrough";
+        reasons.videoMode =
+          video.codec === "hevc"
+            ? "H.265 input with HEVC_PASSTHROUGH enabled"
+            : "browser-compatible H.264 input";
+      } else {
+        settings.videoMode = "reencode";
+        reasons.videoMode = browserCompatible
+          ? "re-encoding options are set"
+          : `${video.codec} input is not browser-compatible`;
+      }
+    }
+    const videoMode =
+      camera.videoMode || settings.videoMode || config.ffmpeg.defaultVideoMode;
+    if (
+      video &&
+      camera.videoDecoder === undefined &&
+      videoMode === "reencode"
+    ) {
+      settings.videoDecoder = video.codec;
+      reasons.videoDecoder = `detected ${video.codec} input`;
+    }
+    if (
+      camera.audioMode === undefined &&
+      !isSetInEnv("DEFAULT_AUDIO_MODE") &&
+      result.audioStreams.length === 0
+    ) {
+      settings.audioMode = "disabled";
+      reasons.audioMode = "input has no audio";
+    }
+
+    return { settings, reasons };
+  }
+}
+
+module.exports = InputProber;
@@ -0,0 +1,317 @@
+const fs = require("fs");
+const path = require("path");
+const { Writable } = require("stream");
+const { FragmentReader } = require("./fmp4");
+
+// Segments (counted from the end of the playlist) that list their parts
+const PART_SEGMENTS = 3;
+
+/**
+ * Writes a Low-Latency HLS stream from fragmented MP4 piped out of FFmpeg
+ * Every fragment becomes a partial segment, and parts are joined into full
+ * segments at the first keyframe after segmentDuration, or at an earlier one
+ * if waiting would exceed the target duration. The playlist, init
+ * segment and segments are named like FFmpeg's own fMP4 HLS output, so the
+ * segment watcher and recordings read them the same way
+ * Emits "init" and "fragment" with the data it reads, so other consumers
+ * (e.g. MSE viewers) can share the output
+ */
+class LowLatencyHlsWriter extends Writable {
+  constructor(hlsDir, options) {
+    super();
+    this.hlsDir = hlsDir;
+    this.label = options.label;
+    this.partTarget = options.partDuration;
+    this.segmentDuration = options.segmentDuration;
+    this.listSize = options.listSize;
+    // Fixed for the whole playlist, as players expect
+    this.targetDuration = Math.ceil(options.segmentDuration);
+    this.segments = []; // Complete segments in the playlist: { msn, duration, programDateTime, parts }
+    this.current = null; // Segment being written, with the data of its parts
+    this.nextMsn = 0;
+    this.nextPart = 0; // Number of the next part file
+    this.waiters = new Set(); // Pending waitFor/waitForPart calls
+    this.finished = false;
+    this.warnedDuration = false; // Whether a too long segment was reported
+
+    this.reader = new FragmentReader(
+      (data) => this._onInit(data),
+      (data, fragment) => this._onFragment(data, fragment)
+    );
+  }
+
+  _write(chunk, encoding, callback) {
+    // Invalid data can't be resynchronized: failing destroys the writer,
+    // which stops FFmpeg with an output stream error so the stream restarts
+    try {
+      this.reader.push(chunk);
+    } catch (err) {
+      callback(err);
+      return;
+    }
+    callback();
+  }
+
+  _final(callback) {
+    this.finished = true;
+    this._notify();
+    callback();
+  }
+
+  _destroy(err, callback) {
+    this.finished = true;
+    this._notify();
+    callback(err);
+  }
+
+  /**
+   * Whether segment msn (or part number part of it) is in the playlist
+   * A segment counts once the next one started, as only then is it complete
+   */
+  hasPart(msn, part = null) {
+    if (!this.current) return false;
+    if (msn < this.current.msn) return true;
+    return (
+      msn === this.current.msn &&
+      part !== null &&
+      part < this.current.parts.length
+    );
+  }
+
+  /**
+   * Whether a blocking playlist request for segment msn (or part number part
+   * of it) is allowed: it may be at most two segments ahead of the playlist,
+   * and a part at most the advance part limit ahead of the last part
+   */
+  canWaitFor(msn, part = null) {
+    const lastMsn = this.current ? this.current.msn : this.nextMsn;
+    if (msn > lastMsn + 2) return false;
+    if (part === null || msn < lastMsn) return true;
+
+    // Three part durations' worth of parts (RFC 8216bis, _HLS_part)
+    const advancePartLimit = Math.max(1, Math.ceil(3 / this.partTarget));
+    const lastPart =
+      this.current && msn === lastMsn ? this.current.parts.length - 1 : -1;
+    return part <= lastPart + advancePartLimit;
+  }
+
+  /**
+   * Whether a request for part file number partNumber may wait for it: it
+   * may be at most one part past the preload hint
+   */
+  canWaitForPart(partNumber) {
+    return partNumber <= this.nextPart + 1;
+  }
+
+  /**
+   * Wait until segment msn (or part number part of it) is in the playlist
+   * Resolves with false when it didn't appear within three target durations
+   */
+  waitFor(msn, part = null) {
+    return this._wait(() => this.hasPart(msn, part));
+  }
+
+  /**
+   * Wait until part file number partNumber is written (players request the
+   * preload hint before it exists)
+   */
+  waitForPart(partNumber) {
+    return this._wait(() => partNumber < this.nextPart);
+  }
+
+  /**
+   * Resolve with true once check() passes, or false on timeout or when the
+   * output ends
+   */
+  _wait(check) {
+    if (check() || this.finished) return Promise.resolve(check());
+
+    return new Promise((resolve) => {
+      const waiter = {
+        check: check,
+        resolve: (available) => {
+          clearTimeout(waiter.timer);
+          this.waiters.delete(waiter);
+          resolve(available);
+        },
+      };
+      waiter.timer = setTimeout(
+        () => waiter.resolve(false),
+        this.targetDuration * 3 * 1000
+      );
+      this.waiters.add(waiter);
+    });
+  }
+
+  /**
+   * Resolve the waiters whose segment or part appeared
+   */
+  _notify() {
+    this.waiters.forEach((waiter) => {
+      if (waiter.check()) {
+        waiter.resolve(true);
+      } else if (this.finished) {
+        waiter.resolve(false);
+      }
+    });
+  }
+
+  /**
+   * Write the init segment shared by all parts and segments
+   */
+  _onInit(data) {
+    this.emit("init", data);
+    fs.writeFileSync(path.join(this.hlsDir, "init.mp4"), data);
+  }
+
+  /**
+   * Write a fragment as the next part, completing the current segment first
+   * when the fragment starts with a keyframe and the segment reached
+   * segmentDuration or would exceed the target duration with the fragment
+   */
+  _onFragment(data, fragment) {
+    this.emit("fragment", data, fragment);
+    if (!this.current) {
+      // Segments have to start with a keyframe
+      if (!fragment.independent) return;
+      this._startSegment();
+    } else if (
+      fragment.independent &&
+      (this.current.duration >= this.segmentDuration - 0.05 ||
+        this._exceedsTarget(this.current.duration + fragment.duration))
+    ) {
+      this._completeSegment();
+      this._startSegment();
+    }
+
+    const partNumber = this.nextPart++;
+    fs.writeFileSync(path.join(this.hlsDir, `part_${partNumber}.m4s`), data);
+    this.current.parts.push({
+      number: partNumber,
+      duration: fragment.duration,
+      independent: fragment.independent,
+    });
+    this.current.data.push(data);
+    this.current.duration += fragment.duration;
+
+    this._writePlaylist();
+    this._notify();
+  }
+
+  /**
+   * Whether a segment duration is over the target duration (segments may be
+   * up to half a second longer, as they are compared rounded)
+   */
+  _exceedsTarget(duration) {
+    return Math.round(duration) > this.targetDuration;
+  }
+
+  /**
+   * Start a new segment at the current time
+   */
+  _startSegment() {
+    this.current = {
+      msn: this.nextMsn++,
+      duration: 0,
+      programDateTime: Date.now(),
+      parts: [],
+      data: [],
+    };
+  }
+
+  /**
+   * Write the current segment from its parts and add it to the playlist,
+   * deleting the files of segments that fall out of it
+   */
+  _completeSegment() {
+    const { data, ...segment } = this.current;
+    fs.writeFileSync(
+      path.join(this.hlsDir, `segment_${segment.msn}.m4s`),
+      Buffer.concat(data)
+    );
+    this.segments.push(segment);
+    if (this._exceedsTarget(segment.duration) && !this.warnedDuration) {
+      // Segments can only be cut at keyframes
+      const duration = segment.duration.toFixed(1);
+      console.warn(
+        `[${this.label}] Low-Latency HLS segment of ${duration}s exceeds the ${this.targetDuration}s target duration - keyframes are too far apart`
+      );
+      this.warnedDuration = true;
+    }
+
+    while (this.segments.length > this.listSize) {
+      const removed = this.segments.shift();
+      const files = [
+        `segment_${removed.msn}.m4s`,
+        ...removed.parts.map((part) => `part_${part.number}.m4s`),
+      ];
+      files.forEach((file) => {
+        try {
+          fs.unlinkSync(path.join(this.hlsDir, file));
+        } catch (err) {
+          // Already deleted
+        }
+      });
+    }
+  }
+
+  /**
+   * Write the playlist, replacing the previous one atomically
+   */
+  _writePlaylist() {
+    const lines = [
+      "#EXTM3U",
+      "#EXT-X-VERSION:7",
+      `#EXT-X-TARGETDURATION:${this.targetDuration}`,
+      `#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,PART-HOLD-BACK=${(
+        this.partTarget * 3
+      ).toFixed(3)}`,
+      `#EXT-X-PART-INF:PART-TARGET=${this.partTarget.toFixed(3)}`,
+      `#EXT-X-MEDIA-SEQUENCE:${
+        this.segments.length > 0 ? this.segments[0].msn : this.current.msn
+      }`,
+      "#EXT-X-INDEPENDENT-SEGMENTS",
+      '#EXT-X-MAP:URI="init.mp4"',
+    ];
+
+    const partsFrom = this.segments.length + 1 - PART_SEGMENTS;
+    this.segments.forEach((segment, index) => {
+      lines.push(
+        `#EXT-X-PROGRAM-DATE-TIME:${new Date(
+          segment.programDateTime
+        ).toISOString()}`
+      );
+      if (index >= partsFrom) {
+        lines.push(...this._getPartLines(segment));
+      }
+      lines.push(`#EXTINF:${segment.duration.toFixed(6)},`);
+      lines.push(`segment_${segment.msn}.m4s`);
+    });
+
+    lines.push(
+      `#EXT-X-PROGRAM-DATE-TIME:${new Date(
+        this.current.programDateTime
+      ).toISOString()}`
+    );
+    lines.push(...this._getPartLines(this.current));
+    lines.push(`#EXT-X-PRELOAD-HINT:TYPE=PART,URI="part_${this.nextPart}.m4s"`);
+
+    const playlistPath = path.join(this.hlsDir, "playlist.m3u8");
+    fs.writeFileSync(`${playlistPath}.tmp`, lines.join("\n") + "\n");
+    fs.renameSync(`${playlistPath}.tmp`, playlistPath);
+  }
+
+  /**
+   * Get the EXT-X-PART lines of a segment
+   */
+  _getPartLines(segment) {
+    return segment.parts.map(
+      (part) =>
+        `#EXT-X-PART:DURATION=${part.duration.toFixed(6)},URI="part_${
+          part.number
+        }.m4s"${part.independent ? ",INDEPENDENT=YES" : ""}`
+    );
+  }
+}
+
+module.exports = LowLatencyHlsWriter;
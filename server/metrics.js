@@ -0,0 +1,186 @@
+const fs = require("fs");
+const { canAccessCamera } = require("./permissions");
+
+/**
+ * Escape a Prometheus label value
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+/**
+ * Collects per-camera stream and HTTP metrics and renders them in the
+ * Prometheus text format
+ */
+class Metrics {
+  constructor(streamManager, segmentWatcher) {
+    this.streamManager = streamManager;
+    this.segments = new Map(); // Map of cameraId -> { receivedAt, bitrate }
+    this.requests = new Map(); // Map of cameraId -> { playlist, segment }
+
+    segmentWatcher.on("segment", (segment) => this._onSegment(segment));
+    streamManager.on("cameras", () => this._pruneCameras());
+  }
+
+  /**
+   * Count an HTTP request for a camera's playlist or segments
+   */
+  countRequest(cameraId, type) {
+    if (!this.streamManager.streams.has(cameraId)) return;
+    if (!this.requests.has(cameraId)) {
+      this.requests.set(cameraId, { playlist: 0, segment: 0 });
+    }
+    this.requests.get(cameraId)[type]++;
+  }
+
+  /**
+   * Get the time and bitrate of a camera's last segment, or null
+   */
+  getSegmentStats(cameraId) {
+    return this.segments.get(cameraId) || null;
+  }
+
+  /**
+   * Render metrics of the cameras the given user may access
+   */
+  render(user = null) {
+    const now = Date.now();
+    const metrics = {
+      rtsp_viewer_camera_up: {
+        type: "gauge",
+        help: "Whether the camera's FFmpeg process is running (1) or not (0)",
+        samples: [],
+      },
+      rtsp_viewer_camera_reconnect_attempts: {
+        type: "gauge",
+        help: "Failed reconnection attempts since the stream last started",
+        samples: [],
+      },
+      rtsp_viewer_ffmpeg_restarts_total: {
+        type: "counter",
+        help: "FFmpeg processes restarted after an error or end of stream",
+        samples: [],
+      },
+      rtsp_viewer_seconds_since_last_segment: {
+        type: "gauge",
+        help: "Seconds since the last HLS segment was written",
+        samples: [],
+      },
+      rtsp_viewer_segment_bitrate_bits_per_second: {
+        type: "gauge",
+        help: "Bitrate of the last HLS segment",
+        samples: [],
+      },
+      rtsp_viewer_ffmpeg_fps: {
+        type: "gauge",
+        help: "Frames per second reported by FFmpeg",
+        samples: [],
+      },
+      rtsp_viewer_ffmpeg_speed: {
+        type: "gauge",
+        help: "Processing speed reported by FFmpeg (1 = real time)",
+        samples: [],
+      },
+      rtsp_viewer_http_requests_total: {
+        type: "counter",
+        help: "HTTP requests for live playlists and segments",
+        samples: [],
+      },
+    };
+
+    this.streamManager.streams.forEach((stream, cameraId) => {
+      if (!canAccessCamera(user, cameraId)) return;
+
+      const labels = `camera="${escapeLabel(cameraId)}",name="${escapeLabel(
+        stream.camera.name
+      )}"`;
+      const add = (name, value, extraLabels = "") => {
+        metrics[name].samples.push(
+          `${name}{${labels}${extraLabels}} ${Number(value)}`
+        );
+      };
+
+      add("rtsp_viewer_camera_up", stream.isStreaming ? 1 : 0);
+      add("rtsp_viewer_camera_reconnect_attempts", stream.reconnectAttempts);
+      add("rtsp_viewer_ffmpeg_restarts_total", stream.restarts);
+
+      const segment = this.segments.get(cameraId);
+      if (segment) {
+        add(
+          "rtsp_viewer_seconds_since_last_segment",
+          ((now - segment.receivedAt) / 1000).toFixed(3)
+        );
+        add("rtsp_viewer_segment_bitrate_bits_per_second", segment.bitrate);
+      }
+
+      if (stream.isStreaming && stream.progress) {
+        add("rtsp_viewer_ffmpeg_fps", stream.progress.fps);
+        if (stream.progress.speed !== null) {
+          add("rtsp_viewer_ffmpeg_speed", stream.progress.speed);
+        }
+      }
+
+      const requests = this.requests.get(cameraId) || {
+        playlist: 0,
+        segment: 0,
+      };
+      add(
+        "rtsp_viewer_http_requests_total",
+        requests.playlist,
+        ',type="playlist"'
+      );
+      add(
+        "rtsp_viewer_http_requests_total",
+        requests.segment,
+        ',type="segment"'
+      );
+    });
+
+    const lines = [];
+    Object.keys(metrics).forEach((name) => {
+      lines.push(`# HELP ${name} ${metrics[name].help}`);
+      lines.push(`# TYPE ${name} ${metrics[name].type}`);
+      lines.push(...metrics[name].samples);
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Record the time and bitrate of a new segment
+   */
+  _onSegment(segment) {
+    const previous = this.segments.get(segment.cameraId);
+    let bitrate = previous ? previous.bitrate : 0;
+    try {
+      if (segment.duration > 0) {
+        bitrate = Math.round(
+          (fs.statSync(segment.path).size * 8) / segment.duration
+        );
+      }
+    } catch (err) {
+      // Segment already deleted - keep the previous bitrate
+    }
+    this.segments.set(segment.cameraId, {
+      receivedAt: Date.now(),
+      bitrate: bitrate,
+    });
+  }
+
+  /**
+   * Forget cameras that were removed
+   */
+  _pruneCameras() {
+    [this.segments, this.requests].forEach((map) => {
+      Array.from(map.keys()).forEach((cameraId) => {
+        if (!this.streamManager.streams.has(cameraId)) {
+          map.delete(cameraId);
+        }
+      });
+    });
+  }
+}
+
+module.exports = Metrics;
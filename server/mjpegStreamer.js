@@ -0,0 +1,159 @@
+const fs = require("fs");
+const config = require("./config");
+
+const BOUNDARY = "mjpegframe";
+
+/**
+ * Serves MJPEG (multipart/x-mixed-replace) streams of cameras with mjpeg
+ * enabled. While a camera has viewers, its MJPEG process runs, the frame file
+ * that process keeps replacing is polled, and every new frame goes to all of
+ * them
+ */
+class MjpegStreamer {
+  constructor(streamManager) {
+    this.streamManager = streamManager;
+    this.cameras = new Map(); // Map of cameraId -> { viewers, frame, mtime, timer }
+    this.idleTimers = new Map(); // Map of cameraId -> timer stopping the MJPEG process
+  }
+
+  /**
+   * Whether a camera has an MJPEG stream
+   */
+  isAvailable(cameraId) {
+    return Boolean(this.streamManager.getMjpegOutput(cameraId));
+  }
+
+  /**
+   * Stream a camera's frames to a response until the client disconnects
+   */
+  addViewer(cameraId, res) {
+    res.writeHead(200, {
+      "Content-Type": `multipart/x-mixed-replace; boundary=${BOUNDARY}`,
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+      Pragma: "no-cache",
+      Connection: "close",
+    });
+
+    let camera = this.cameras.get(cameraId);
+    if (!camera) {
+      // Frames written before now may be stale, from an earlier process
+      camera = {
+        viewers: new Set(),
+        frame: null,
+        mtime: Date.now(),
+        timer: null,
+      };
+      this.cameras.set(cameraId, camera);
+      this._setWatched(cameraId, true);
+      this._poll(cameraId);
+    }
+
+    const viewer = {
+      res: res,
+      ready: true, // False while a slow client hasn't taken the last frame
+    };
+    camera.viewers.add(viewer);
+    if (camera.frame) {
+      this._send(viewer, camera.frame);
+    }
+
+    res.on("close", () => {
+      camera.viewers.delete(viewer);
+      if (camera.viewers.size === 0 && this.cameras.get(cameraId) === camera) {
+        clearTimeout(camera.timer);
+        this.cameras.delete(cameraId);
+        this._setWatched(cameraId, false);
+      }
+    });
+  }
+
+  /**
+   * End all MJPEG streams
+   */
+  closeAll() {
+    this.cameras.forEach((camera, cameraId) => this._closeCamera(cameraId));
+  }
+
+  /**
+   * Send new frames of a camera to its viewers, checking twice per frame
+   * interval
+   */
+  _poll(cameraId) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) return;
+    const output = this.streamManager.getMjpegOutput(cameraId);
+    if (!output) {
+      // Camera removed or MJPEG disabled
+      this._closeCamera(cameraId);
+      return;
+    }
+
+    try {
+      const mtime = fs.statSync(output.path).mtimeMs;
+      if (mtime > camera.mtime) {
+        camera.mtime = mtime;
+        camera.frame = fs.readFileSync(output.path);
+        camera.viewers.forEach((viewer) => this._send(viewer, camera.frame));
+      }
+    } catch (err) {
+      // No frame written yet
+    }
+
+    camera.timer = setTimeout(() => this._poll(cameraId), 500 / output.fps);
+  }
+
+  /**
+   * Tell the stream manager whether a camera's MJPEG process is needed: as
+   * soon as viewers arrive, and the on-demand idle timeout after the last
+   * one left, so viewers reloading a page don't restart it
+   */
+  _setWatched(cameraId, watched) {
+    clearTimeout(this.idleTimers.get(cameraId));
+    this.idleTimers.delete(cameraId);
+    if (watched) {
+      this.streamManager.setMjpegWatched(cameraId, true);
+      return;
+    }
+    this.idleTimers.set(
+      cameraId,
+      setTimeout(() => {
+        this.idleTimers.delete(cameraId);
+        this.streamManager.setMjpegWatched(cameraId, false);
+      }, config.onDemand.idleTimeout * 1000)
+    );
+  }
+
+  /**
+   * Write a frame to a viewer, skipping it while the viewer is still
+   * receiving the previous one
+   */
+  _send(viewer, frame) {
+    if (!viewer.ready) return;
+    viewer.res.write(
+      `--${BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`
+    );
+    viewer.res.write(frame);
+    viewer.ready = viewer.res.write("\r\n");
+    if (!viewer.ready) {
+      viewer.res.once("drain", () => {
+        viewer.ready = true;
+      });
+    }
+  }
+
+  /**
+   * End the streams of a camera
+   */
+  _closeCamera(cameraId) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) return;
+    clearTimeout(camera.timer);
+    this.cameras.delete(cameraId);
+    camera.viewers.forEach((viewer) => viewer.res.end());
+    clearTimeout(this.idleTimers.get(cameraId));
+    this.idleTimers.delete(cameraId);
+    this.streamManager.setMjpegWatched(cameraId, false);
+  }
+}
+
+module.exports = MjpegStreamer;
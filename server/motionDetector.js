@@ -0,0 +1,170 @@
+const EventEmitter = require("events");
+const ffmpeg = require("fluent-ffmpeg");
+const fs = require("fs");
+const config = require("./config");
+const { getSegmentInput } = require("./hlsPlaylist");
+
+/**
+ * Detects motion by scoring scene changes on a downscaled frame feed of
+ * each completed live segment, and stores detections in the event store
+ */
+class MotionDetector extends EventEmitter {
+  constructor(streamManager, segmentWatcher, snapshotManager, eventStore) {
+    super();
+    this.streamManager = streamManager;
+    this.segmentWatcher = segmentWatcher;
+    this.snapshotManager = snapshotManager;
+    this.eventStore = eventStore;
+    this.analyzing = new Set(); // Camera IDs with an analysis in progress
+    this.lastEventTimes = new Map(); // Map of cameraId -> last motion event time
+    this._onSegment = this._onSegment.bind(this);
+  }
+
+  /**
+   * Start analyzing live segments
+   */
+  start() {
+    this.segmentWatcher.on("segment", this._onSegment);
+  }
+
+  /**
+   * Stop analyzing live segments
+   */
+  stop() {
+    this.segmentWatcher.removeListener("segment", this._onSegment);
+  }
+
+  /**
+   * Get motion settings for a camera: per-camera override or global default
+   */
+  getSettings(camera) {
+    return {
+      enabled:
+        camera.motionDetection !== undefined
+          ? camera.motionDetection
+          : config.motion.defaultEnabled,
+      threshold:
+        camera.motionThreshold !== undefined
+          ? camera.motionThreshold
+          : config.motion.defaultThreshold,
+      region: camera.motionRegion || null,
+    };
+  }
+
+  /**
+   * Analyze a completed segment of a camera with motion detection enabled
+   */
+  _onSegment(segment) {
+    const camera = this.streamManager.getCamera(segment.cameraId);
+    if (!camera) return;
+
+    const settings = this.getSettings(camera);
+    if (!settings.enabled) return;
+
+    // Skip segments while the previous one is still being analyzed
+    if (this.analyzing.has(segment.cameraId)) return;
+    if (!fs.existsSync(segment.path)) return;
+
+    this.analyzing.add(segment.cameraId);
+    this._analyzeSegment(segment, settings)
+      .then((detection) => {
+        if (detection) {
+          return this._recordMotion(camera, segment, detection);
+        }
+      })
+      .catch((err) => {
+        console.warn(
+          `[${segment.cameraId}] Motion analysis failed: ${err.message}`
+        );
+      })
+      .finally(() => {
+        this.analyzing.delete(segment.cameraId);
+      });
+  }
+
+  /**
+   * Score scene changes in a segment
+   * Resolves with the strongest detection ({ position, score }) or null
+   */
+  _analyzeSegment(segment, settings) {
+    return new Promise((resolve, reject) => {
+      const filters = ["setpts=PTS-STARTPTS", `fps=${config.motion.fps}`];
+      // Region of interest as fractions of the frame
+      if (settings.region) {
+        const { x = 0, y = 0, width = 1, height = 1 } = settings.region;
+        filters.push(`crop=iw*${width}:ih*${height}:iw*${x}:ih*${y}`);
+      }
+      filters.push(
+        `scale=${config.motion.frameWidth}:-2`,
+        `select='gt(scene,${settings.threshold})'`,
+        "metadata=print"
+      );
+
+      let detection = null;
+      let position = 0;
+
+      ffmpeg(getSegmentInput(segment))
+        .addOption("-an")
+        .addOption("-vf", filters.join(","))
+        .addOption("-f", "null")
+        .output("-")
+        .on("stderr", (stderrLine) => {
+          // metadata=print logs "pts_time:<t>" then "lavfi.scene_score=<s>"
+          const ptsMatch = stderrLine.match(/pts_time:([\d.]+)/);
+          if (ptsMatch) {
+            position = parseFloat(ptsMatch[1]);
+          }
+          const scoreMatch = stderrLine.match(/lavfi\.scene_score=([\d.]+)/);
+          if (scoreMatch) {
+            const score = parseFloat(scoreMatch[1]);
+            if (!detection || score > detection.score) {
+              detection = { position: position, score: score };
+            }
+          }
+        })
+        .on("error", (err) => reject(err))
+        .on("end", () => resolve(detection))
+        .run();
+    });
+  }
+
+  /**
+   * Store a motion event with a snapshot, respecting the cooldown
+   */
+  _recordMotion(camera, segment, detection) {
+    const timestamp = segment.startTime + Math.round(detection.position * 1000);
+    const lastEventTime = this.lastEventTimes.get(camera.id) || 0;
+    if (timestamp - lastEventTime < config.motion.cooldown * 1000) {
+      return;
+    }
+    this.lastEventTimes.set(camera.id, timestamp);
+
+    console.log(
+      `[${camera.name}] Motion detected (score: ${detection.score.toFixed(3)})`
+    );
+
+    return this.snapshotManager
+      .extractFrame(getSegmentInput(segment), detection.position)
+      .catch((err) => {
+        console.warn(
+          `[${camera.id}] Could not capture motion snapshot: ${err.message}`
+        );
+        return null;
+      })
+      .then((snapshot) => {
+        const event = this.eventStore.add(
+          {
+            type: "motion",
+            cameraId: camera.id,
+            cameraName: camera.name,
+            timestamp: timestamp,
+            score: detection.score,
+          },
+          snapshot
+        );
+        this.emit("motion", event);
+      });
+  }
+}
+
+module.exports = MotionDetector;
@@ -0,0 +1,131 @@
+const { Writable } = require("stream");
+const { readBox, getCodecs, FragmentReader } = require("./fmp4");
+
+// Bytes queued on a viewer's socket at which fragments are skipped until the
+// next keyframe, so slow viewers drop frames instead of falling behind
+const MAX_BUFFERED_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Get the MIME type with codecs of an init segment, for MediaSource
+ */
+function getMimeType(init) {
+  let offset = 0;
+  let box;
+  while ((box = readBox(init, offset))) {
+    if (box.type === "moov") {
+      return `video/mp4; codecs="${getCodecs(init, box).join(",")}"`;
+    }
+    offset += box.size;
+  }
+  return "video/mp4";
+}
+
+/**
+ * Passes the fragmented MP4 of a camera's MSE output to WebSocket viewers
+ * Each viewer gets the MIME type as a text message, then the init segment
+ * and fragments as binary messages, starting at the latest keyframe. A new
+ * init segment (e.g. after FFmpeg restarted) is sent with its MIME type
+ * again, so players start over
+ */
+class MseFeed {
+  constructor(label) {
+    this.label = label;
+    this.viewers = new Map(); // Map of socket -> { skipping }
+    this.init = null;
+    this.mimeType = null;
+    this.gop = []; // Fragments since the latest keyframe, for new viewers
+  }
+
+  /**
+   * Create a writable for an FFmpeg output to feed this feed
+   * It fails on invalid data, which stops FFmpeg with an output stream error
+   * so the stream restarts
+   */
+  createWriter() {
+    const reader = new FragmentReader(
+      (data) => this.setInit(data),
+      (data, fragment) => this.pushFragment(data, fragment)
+    );
+    return new Writable({
+      write: (chunk, encoding, callback) => {
+        try {
+          reader.push(chunk);
+        } catch (err) {
+          callback(err);
+          return;
+        }
+        callback();
+      },
+    });
+  }
+
+  /**
+   * Start a new stream with its init segment
+   */
+  setInit(data) {
+    this.init = data;
+    this.mimeType = getMimeType(data);
+    this.gop = [];
+    this.viewers.forEach((viewer, socket) => {
+      this._sendInit(socket);
+      viewer.skipping = true;
+    });
+  }
+
+  /**
+   * Pass a fragment ({ duration, independent }) to every viewer
+   */
+  pushFragment(data, fragment) {
+    if (!this.init) return;
+    if (fragment.independent) {
+      this.gop = [data];
+    } else if (this.gop.length > 0) {
+      this.gop.push(data);
+    }
+
+    this.viewers.forEach((viewer, socket) => {
+      if (viewer.skipping && !fragment.independent) return;
+      if (socket.bufferedAmount > MAX_BUFFERED_BYTES) {
+        viewer.skipping = true;
+        return;
+      }
+      viewer.skipping = false;
+      socket.send(data);
+    });
+  }
+
+  /**
+   * Start sending to a viewer's WebSocket until it closes
+   */
+  addViewer(socket) {
+    const viewer = { skipping: true };
+    this.viewers.set(socket, viewer);
+    socket.on("close", () => this.viewers.delete(socket));
+
+    if (this.init) {
+      this._sendInit(socket);
+      this.gop.forEach((data) => socket.send(data));
+      viewer.skipping = this.gop.length === 0;
+    }
+  }
+
+  /**
+   * Disconnect all viewers
+   */
+  close() {
+    this.viewers.forEach((viewer, socket) =>
+      socket.close(1001, "Camera stream closed")
+    );
+    this.viewers.clear();
+  }
+
+  /**
+   * Send the MIME type and init segment to a viewer
+   */
+  _sendInit(socket) {
+    socket.send(this.mimeType);
+    socket.send(this.init);
+  }
+}
+
+module.exports = MseFeed;
@@ -0,0 +1,102 @@
+const { WebSocketServer } = require("ws");
+const config = require("./config");
+const { canAccessCamera } = require("./permissions");
+
+// WebSocket path of a camera's MSE stream
+const MSE_PATH = /^\/api\/cameras\/([^/]+)\/mse$/;
+
+/**
+ * Refuse a WebSocket upgrade with an HTTP status
+ */
+function rejectUpgrade(socket, status, message) {
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+}
+
+/**
+ * Serves MSE viewers: a viewer opens a WebSocket to
+ * /api/cameras/:cameraId/mse and receives the camera's fragmented MP4 for as
+ * long as it stays connected
+ */
+class MseGateway {
+  constructor(streamManager, viewerTracker, authManager) {
+    this.streamManager = streamManager;
+    this.viewerTracker = viewerTracker;
+    this.authManager = authManager;
+    this.wss = new WebSocketServer({ noServer: true });
+  }
+
+  /**
+   * Handle an HTTP upgrade request of the server
+   * Authenticates like other API requests (session cookie or bearer token);
+   * browsers send the cookie, so other origins need to be in CORS_ORIGINS
+   */
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, "http://localhost");
+    const match = url.pathname.match(MSE_PATH);
+    let cameraId;
+    try {
+      cameraId = match ? decodeURIComponent(match[1]) : null;
+    } catch (e) {
+      cameraId = null;
+    }
+    if (!cameraId) {
+      return rejectUpgrade(socket, 404, "Not Found");
+    }
+
+    if (!this._isAllowedOrigin(req)) {
+      return rejectUpgrade(socket, 403, "Forbidden");
+    }
+    const user = config.auth.enabled
+      ? this.authManager.authenticate(req)
+      : null;
+    if (config.auth.enabled && !user) {
+      return rejectUpgrade(socket, 401, "Unauthorized");
+    }
+    if (!canAccessCamera(user, cameraId)) {
+      return rejectUpgrade(socket, 403, "Forbidden");
+    }
+
+    const feed = this.streamManager.getMseFeed(cameraId);
+    if (!feed) {
+      return rejectUpgrade(socket, 404, "Not Found");
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      const camera = this.streamManager.getCamera(cameraId);
+      const removeViewer = this.viewerTracker.addViewer(cameraId);
+      ws.on("close", () => {
+        removeViewer();
+        console.log(`[${camera.name}] MSE viewer disconnected`);
+      });
+      ws.on("error", (err) => {
+        console.warn(`[${camera.name}] MSE viewer error: ${err.message}`);
+      });
+      feed.addViewer(ws);
+      console.log(`[${camera.name}] MSE viewer connected`);
+    });
+  }
+
+  /**
+   * Disconnect all viewers
+   */
+  closeAll() {
+    this.wss.clients.forEach((ws) => ws.close(1001, "Server shutting down"));
+  }
+
+  /**
+   * Whether a request comes from the server's own pages or an origin in
+   * CORS_ORIGINS (requests without an Origin header aren't from browsers)
+   */
+  _isAllowedOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    try {
+      if (new URL(origin).host === req.headers.host) return true;
+    } catch (e) {
+      return false;
+    }
+    return config.corsOrigins.includes(origin);
+  }
+}
+
+module.exports = MseGateway;
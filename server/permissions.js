@@ -0,0 +1,78 @@
+const config = require("./config");
+
+// Roles in increasing order of privilege
+// - 'viewer': Watch live streams, recordings, snapshots and events
+// - 'operator': Viewer + start/stop streams and trigger recordings
+// - 'admin': Operator + manage cameras
+const ROLES = ["viewer", "operator", "admin"];
+
+/**
+ * Get the role of a user (accounts created before roles existed are admins)
+ */
+function getRole(user) {
+  return user.role || "admin";
+}
+
+/**
+ * Check whether a user has at least the given role
+ * Everything is allowed when authentication is disabled
+ */
+function hasRole(user, role) {
+  if (!config.auth.enabled) return true;
+  if (!user) return false;
+  return ROLES.indexOf(getRole(user)) >= ROLES.indexOf(role);
+}
+
+/**
+ * Check whether a user may access a camera ("*" grants all cameras)
+ */
+function canAccessCamera(user, cameraId) {
+  if (!config.auth.enabled) return true;
+  if (!user) return false;
+  if (getRole(user) === "admin") return true;
+  const cameras = user.cameras || ["*"];
+  return cameras.includes("*") || cameras.includes(cameraId);
+}
+
+/**
+ * Express middleware rejecting users below the given role
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.user, role)) {
+      return next();
+    }
+    res.status(403).json({ error: `This action requires the ${role} role` });
+  };
+}
+
+/**
+ * Express middleware rejecting users without access to req.params.cameraId
+ * Mounted in front of static files, it also rejects paths with ".." that
+ * would lead out of the camera's directory
+ */
+function requireCameraAccess(req, res, next) {
+  const cameraId = req.params.cameraId;
+  let filePath;
+  try {
+    filePath = decodeURIComponent(req.path);
+  } catch (e) {
+    filePath = null;
+  }
+  if (filePath === null || filePath.split(/[\\/]/).includes("..")) {
+    return res.status(400).json({ error: "Invalid path" });
+  }
+  if (!cameraId || canAccessCamera(req.user, cameraId)) {
+    return next();
+  }
+  res.status(403).json({ error: `Access to camera ${cameraId} denied` });
+}
+
+module.exports = {
+  ROLES,
+  getRole,
+  hasRole,
+  canAccessCamera,
+  requireRole,
+  requireCameraAccess,
+};
@@ -0,0 +1,393 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+// Archived segments are named <startTimeMs>_<durationMs>.<ext>
+// (.mp4 for fMP4 segments stored with their init segment in front)
+const SEGMENT_NAME_PATTERN = /^(\d+)_(\d+)\.(ts|m4s|mp4)$/;
+const DAY_DIR_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RecordingManager {
+  constructor(streamManager, segmentWatcher) {
+    this.streamManager = streamManager;
+    this.segmentWatcher = segmentWatcher;
+    this.pruneTimer = null;
+    this.recordUntil = new Map(); // Map of cameraId -> end of event recording (post-roll)
+    this._onSegment = this._onSegment.bind(this);
+  }
+
+  /**
+   * Start archiving segments and the background pruner
+   */
+  start() {
+    this._warnShortPreRoll();
+    this.segmentWatcher.on("segment", this._onSegment);
+    this.pruneTimer = setInterval(
+      () => this.prune(),
+      config.recording.pruneInterval
+    );
+    this.prune();
+  }
+
+  /**
+   * Stop archiving segments and the background pruner
+   */
+  stop() {
+    this.segmentWatcher.removeListener("segment", this._onSegment);
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+
+  /**
+   * Get recording settings for a camera: per-camera override or global default
+   */
+  getSettings(camera) {
+    return {
+      mode: camera.recordingMode || config.recording.defaultMode,
+      retentionDays:
+        camera.recordingRetentionDays !== undefined
+          ? camera.recordingRetentionDays
+          : config.recording.retentionDays,
+      maxSizeMB:
+        camera.recordingMaxSizeMB !== undefined
+          ? camera.recordingMaxSizeMB
+          : config.recording.maxSizeMB,
+      preRoll:
+        camera.preRollSeconds !== undefined
+          ? camera.preRollSeconds
+          : config.recording.preRoll,
+      postRoll:
+        camera.postRollSeconds !== undefined
+          ? camera.postRollSeconds
+          : config.recording.postRoll,
+    };
+  }
+
+  /**
+   * Check whether a camera records (continuously or on events)
+   */
+  isRecording(cameraId) {
+    const camera = this.streamManager.getCamera(cameraId);
+    return !!camera && this.getSettings(camera).mode !== "disabled";
+  }
+
+  /**
+   * Trigger event recording around a point in time (epoch ms)
+   * Segments still in the live window cover the pre-roll, segments completed
+   * before the post-roll ends are archived as they arrive
+   * Returns the end of the recording, or null if the camera doesn't record events
+   */
+  trigger(cameraId, time = Date.now()) {
+    const camera = this.streamManager.getCamera(cameraId);
+    if (!camera) return null;
+
+    const settings = this.getSettings(camera);
+    if (settings.mode !== "event") {
+      return settings.mode === "continuous" ? Date.now() : null;
+    }
+
+    const until = Math.max(
+      time + settings.postRoll * 1000,
+      this.recordUntil.get(cameraId) || 0
+    );
+    this.recordUntil.set(cameraId, until);
+    console.log(
+      `[${camera.name}] Event recording until ${new Date(until).toISOString()}`
+    );
+
+    // Copy pre-roll segments out before delete_segments removes them
+    const preRollStart = time - settings.preRoll * 1000;
+    this.segmentWatcher.listLiveSegments(cameraId).forEach((segment) => {
+      if (
+        segment.startTime + segment.duration * 1000 > preRollStart &&
+        segment.startTime <= until
+      ) {
+        this._archiveSegment(segment);
+      }
+    });
+
+    return until;
+  }
+
+  /**
+   * List archived segments of a camera overlapping a time range (epoch ms)
+   */
+  listSegments(cameraId, from = 0, to = Date.now()) {
+    const cameraDir = this._getCameraDir(cameraId);
+    if (!fs.existsSync(cameraDir)) {
+      return [];
+    }
+
+    // Segments may start on the previous day and still overlap the range
+    const firstDay = this._formatDate(from - DAY_MS);
+    const lastDay = this._formatDate(to);
+
+    const segments = [];
+    fs.readdirSync(cameraDir)
+      .filter(
+        (day) => DAY_DIR_PATTERN.test(day) && day >= firstDay && day <= lastDay
+      )
+      .forEach((day) => {
+        fs.readdirSync(path.join(cameraDir, day)).forEach((file) => {
+          const segment = this._parseSegmentName(cameraId, day, file);
+          if (
+            segment &&
+            segment.startTime < to &&
+            segment.startTime + segment.duration * 1000 > from
+          ) {
+            segments.push(segment);
+          }
+        });
+      });
+
+    return segments.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Get contiguous recorded time ranges of a camera within a time range
+   */
+  getTimeline(cameraId, from = 0, to = Date.now(), gapTolerance = 1000) {
+    const ranges = [];
+    this.listSegments(cameraId, from, to).forEach((segment) => {
+      const end = segment.startTime + segment.duration * 1000;
+      const last = ranges[ranges.length - 1];
+      if (last && segment.startTime - last.end <= gapTolerance) {
+        last.end = Math.max(last.end, end);
+      } else {
+        ranges.push({ start: segment.startTime, end: end });
+      }
+    });
+    return ranges;
+  }
+
+  /**
+   * Delete recordings older than the retention period and enforce disk quotas
+   */
+  prune() {
+    const recordingsDir = path.resolve(config.recordingsDir);
+    if (!fs.existsSync(recordingsDir)) return;
+
+    fs.readdirSync(recordingsDir).forEach((cameraId) => {
+      if (!fs.statSync(path.join(recordingsDir, cameraId)).isDirectory()) {
+        return;
+      }
+      try {
+        this._pruneCamera(cameraId);
+      } catch (err) {
+        console.warn(
+          `Warning: Could not prune recordings for ${cameraId}:`,
+          err.message
+        );
+      }
+    });
+  }
+
+  /**
+   * Archive a completed live segment for continuously recording cameras,
+   * or for event recording cameras until the post-roll ends
+   */
+  _onSegment(segment) {
+    const camera = this.streamManager.getCamera(segment.cameraId);
+    if (!camera) return;
+
+    switch (this.getSettings(camera).mode) {
+      case "continuous":
+        this._archiveSegment(segment);
+        break;
+
+      case "event":
+        if (segment.startTime <= (this.recordUntil.get(camera.id) || 0)) {
+          this._archiveSegment(segment);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Warn about event recording cameras whose pre-roll exceeds the live window
+   */
+  _warnShortPreRoll() {
+    this.streamManager.streams.forEach((stream, cameraId) => {
+      const settings = this.getSettings(stream.camera);
+      const liveWindow =
+        (stream.camera.hlsListSize || config.ffmpeg.hlsListSize) *
+        config.ffmpeg.hlsTime;
+      if (settings.mode === "event" && settings.preRoll > liveWindow) {
+        console.warn(
+          `[${cameraId}] Pre-roll of ${settings.preRoll}s exceeds the ${liveWindow}s live window - increase hlsListSize to keep the full pre-roll`
+        );
+      }
+    });
+  }
+
+  /**
+   * Copy a live segment into the camera's dated recording directory
+   */
+  _archiveSegment(segment) {
+    if (!fs.existsSync(segment.path)) {
+      console.warn(
+        `[${segment.cameraId}] Segment ${segment.uri} removed before it could be recorded`
+      );
+      return;
+    }
+
+    const dayDir = path.join(
+      this._getCameraDir(segment.cameraId),
+      this._formatDate(segment.startTime)
+    );
+    if (!fs.existsSync(dayDir)) {
+      fs.mkdirSync(dayDir, { recursive: true });
+    }
+
+    const extension = segment.initPath ? ".mp4" : path.extname(segment.uri);
+    const fileName = `${segment.startTime}_${Math.round(
+      segment.duration * 1000
+    )}${extension}`;
+    const target = path.join(dayDir, fileName);
+    if (fs.existsSync(target)) return;
+
+    if (segment.initPath) {
+      // Keep fMP4 segments playable on their own after FFmpeg restarts with
+      // a different init segment
+      try {
+        fs.writeFileSync(
+          target,
+          Buffer.concat([
+            fs.readFileSync(segment.initPath),
+            fs.readFileSync(segment.path),
+          ])
+        );
+      } catch (err) {
+        console.error(
+          `[${segment.cameraId}] Failed to record segment ${segment.uri}:`,
+          err.message
+        );
+      }
+      return;
+    }
+
+    try {
+      // Hard link avoids copying data - live segment deletion keeps the link
+      fs.linkSync(segment.path, target);
+    } catch (err) {
+      try {
+        // Different filesystem - fall back to copying
+        fs.copyFileSync(segment.path, target);
+      } catch (copyErr) {
+        console.error(
+          `[${segment.cameraId}] Failed to record segment ${segment.uri}:`,
+          copyErr.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Apply age and size retention to a single camera's recordings
+   */
+  _pruneCamera(cameraId) {
+    const camera = this.streamManager.getCamera(cameraId);
+    const settings = this.getSettings(camera || {});
+    const cameraDir = this._getCameraDir(cameraId);
+    const cutoff = Date.now() - settings.retentionDays * DAY_MS;
+
+    const days = fs
+      .readdirSync(cameraDir)
+      .filter((day) => DAY_DIR_PATTERN.test(day))
+      .sort();
+    const files = [];
+    let deletedCount = 0;
+
+    days.forEach((day) => {
+      const dayDir = path.join(cameraDir, day);
+      fs.readdirSync(dayDir).forEach((file) => {
+        const segment = this._parseSegmentName(cameraId, day, file);
+        if (!segment) return;
+
+        if (settings.retentionDays > 0 && segment.startTime < cutoff) {
+          if (this._deleteFile(segment.path)) deletedCount++;
+        } else {
+          files.push({
+            path: segment.path,
+            startTime: segment.startTime,
+            size: fs.statSync(segment.path).size,
+          });
+        }
+      });
+    });
+
+    // Enforce disk quota by removing oldest segments first
+    if (settings.maxSizeMB > 0) {
+      const maxBytes = settings.maxSizeMB * 1024 * 1024;
+      files.sort((a, b) => a.startTime - b.startTime);
+      let totalSize = files.reduce((sum, file) => sum + file.size, 0);
+      while (totalSize > maxBytes && files.length > 0) {
+        const oldest = files.shift();
+        totalSize -= oldest.size;
+        if (this._deleteFile(oldest.path)) deletedCount++;
+      }
+    }
+
+    // Remove empty day directories
+    days.forEach((day) => {
+      const dayDir = path.join(cameraDir, day);
+      if (fs.readdirSync(dayDir).length === 0) {
+        fs.rmdirSync(dayDir);
+      }
+    });
+
+    if (deletedCount > 0) {
+      console.log(`Pruned ${deletedCount} recorded segments from ${cameraId}`);
+    }
+  }
+
+  /**
+   * Parse an archived segment file name into segment info
+   */
+  _parseSegmentName(cameraId, day, file) {
+    const match = file.match(SEGMENT_NAME_PATTERN);
+    if (!match) return null;
+    return {
+      cameraId: cameraId,
+      day: day,
+      file: file,
+      path: path.join(this._getCameraDir(cameraId), day, file),
+      startTime: parseInt(match[1], 10),
+      duration: parseInt(match[2], 10) / 1000,
+    };
+  }
+
+  /**
+   * Delete a file, returning whether it was removed
+   */
+  _deleteFile(filePath) {
+    try {
+      fs.unlinkSync(filePath);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the recording directory for a camera
+   */
+  _getCameraDir(cameraId) {
+    return path.resolve(config.recordingsDir, cameraId);
+  }
+
+  /**
+   * Format a timestamp as a YYYY-MM-DD (UTC) directory name
+   */
+  _formatDate(timestamp) {
+    return new Date(Math.max(timestamp, 0)).toISOString().slice(0, 10);
+  }
+}
+
+module.exports = RecordingManager;
@@ -0,0 +1,92 @@
+const dgram = require("dgram");
+const EventEmitter = require("events");
+const config = require("./config");
+
+// Ports used by open feeds - each feed takes four: video RTP and RTCP, audio
+// RTP and RTCP (FFmpeg sends RTCP to the RTP port + 1)
+const usedPorts = new Set();
+
+/**
+ * Reserve four consecutive ports from WEBRTC_RTP_PORT_START upwards
+ */
+function allocatePorts() {
+  let port = config.webrtc.rtpPortStart;
+  while (usedPorts.has(port)) {
+    port += 4;
+  }
+  usedPorts.add(port);
+  return { video: port, audio: port + 2 };
+}
+
+/**
+ * Receives the RTP packets FFmpeg sends for a camera's WebRTC output on
+ * local UDP ports and passes each packet to the tracks of every viewer
+ * ready resolves once the ports are bound and rejects if they can't be
+ * Emits "close" when closed
+ */
+class RtpFeed extends EventEmitter {
+  constructor(label) {
+    super();
+    this.label = label;
+    this.ports = allocatePorts();
+    this.tracks = { video: new Set(), audio: new Set() };
+    const bound = [];
+    this.sockets = Object.keys(this.ports).map((kind) => {
+      const socket = dgram.createSocket("udp4");
+      socket.on("message", (packet) => {
+        // Every track gets its own copy, as senders rewrite the header
+        this.tracks[kind].forEach((track) =>
+          track.writeRtp(Buffer.from(packet))
+        );
+      });
+      socket.on("error", (err) => {
+        console.error(
+          `[${this.label}] WebRTC ${kind} RTP socket error: ${err.message}`
+        );
+      });
+      bound.push(
+        new Promise((resolve, reject) => {
+          socket.once("listening", resolve);
+          socket.once("error", reject);
+        })
+      );
+      socket.bind(this.ports[kind], "127.0.0.1");
+      return socket;
+    });
+    this.ready = Promise.all(bound);
+    this.ready.catch(() => {}); // Logged above, viewers get it on connecting
+  }
+
+  /**
+   * Get the URL FFmpeg sends RTP of a kind ("video" or "audio") to
+   */
+  getUrl(kind) {
+    return `rtp://127.0.0.1:${this.ports[kind]}?pkt_size=1200`;
+  }
+
+  /**
+   * Start passing packets to a track of a viewer
+   */
+  addTrack(track) {
+    this.tracks[track.kind].add(track);
+  }
+
+  /**
+   * Stop passing packets to a track
+   */
+  removeTrack(track) {
+    this.tracks[track.kind].delete(track);
+  }
+
+  /**
+   * Close the sockets and release the ports
+   */
+  close() {
+    this.sockets.forEach((socket) => socket.close());
+    this.sockets = [];
+    usedPorts.delete(this.ports.video);
+    this.emit("close");
+  }
+}
+
+module.exports = RtpFeed;
@@ -0,0 +1,105 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { parseMediaPlaylist } = require("./hlsPlaylist");
+
+/**
+ * Watches each camera's live HLS playlist and emits a "segment" event for
+ * every newly completed segment, before delete_segments removes it
+ */
+class SegmentWatcher extends EventEmitter {
+  constructor(streamManager) {
+    super();
+    this.streamManager = streamManager;
+    this.pollTimer = null;
+    this.lastSegmentTimes = new Map(); // Map of cameraId -> start time of last emitted segment
+  }
+
+  /**
+   * Start polling live playlists
+   */
+  start() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(
+      () => this._poll(),
+      config.segmentPollInterval
+    );
+  }
+
+  /**
+   * Stop polling live playlists
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Check every camera's playlist for new segments
+   */
+  _poll() {
+    this.streamManager.streams.forEach((stream, cameraId) => {
+      try {
+        this._pollCamera(cameraId);
+      } catch (err) {
+        console.warn(
+          `[${cameraId}] Could not read live playlist: ${err.message}`
+        );
+      }
+    });
+  }
+
+  /**
+   * List the segments currently in a camera's live playlist
+   */
+  listLiveSegments(cameraId) {
+    const hlsDir = path.resolve(config.hlsOutputDir, cameraId);
+    // With an ABR ladder, the first rendition's segments
+    const playlistPath = path.join(
+      hlsDir,
+      this.streamManager.getPlaylistName(cameraId)
+    );
+    if (!fs.existsSync(playlistPath)) return [];
+
+    const playlist = parseMediaPlaylist(fs.readFileSync(playlistPath, "utf8"));
+    const segments = [];
+    playlist.segments.forEach((entry) => {
+      const segmentPath = path.join(hlsDir, entry.uri);
+      let startTime = entry.programDateTime;
+      if (startTime === null) {
+        // No program date time - derive start from file modification time
+        if (!fs.existsSync(segmentPath)) return;
+        startTime =
+          fs.statSync(segmentPath).mtimeMs - Math.round(entry.duration * 1000);
+      }
+      segments.push({
+        cameraId: cameraId,
+        uri: entry.uri,
+        path: segmentPath,
+        initPath: entry.initUri ? path.join(hlsDir, entry.initUri) : null,
+        startTime: startTime,
+        duration: entry.duration,
+      });
+    });
+    return segments;
+  }
+
+  /**
+   * Emit segments of a camera's playlist that have not been seen yet
+   */
+  _pollCamera(cameraId) {
+    const lastTime = this.lastSegmentTimes.get(cameraId) || 0;
+
+    this.listLiveSegments(cameraId).forEach((segment) => {
+      if (segment.startTime <= lastTime) return;
+
+      this.lastSegmentTimes.set(cameraId, segment.startTime);
+      this.emit("segment", segment);
+    });
+  }
+}
+
+module.exports = SegmentWatcher;
@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+/**
+ * HMAC-signed, expiring share tokens granting view access to one camera
+ * Tokens have the form <expiresAt>.<signature>
+ */
+class ShareLinkManager {
+  constructor() {
+    this.secret = config.share.secret || this._loadSecret();
+  }
+
+  /**
+   * Create a share token for a camera, valid until expiresAt (epoch ms)
+   */
+  createToken(cameraId, expiresAt) {
+    return `${expiresAt}.${this._sign(cameraId, expiresAt)}`;
+  }
+
+  /**
+   * Verify a share token for a camera
+   * Returns the expiry time (epoch ms), or null if invalid or expired
+   */
+  verify(cameraId, token) {
+    if (typeof token !== "string") return null;
+
+    const [expires, signature] = token.split(".");
+    const expiresAt = parseInt(expires, 10);
+    if (!signature || isNaN(expiresAt) || expiresAt < Date.now()) {
+      return null;
+    }
+
+    const expected = Buffer.from(this._sign(cameraId, expiresAt));
+    const actual = Buffer.from(signature);
+    if (
+      actual.length !== expected.length ||
+      !crypto.timingSafeEqual(actual, expected)
+    ) {
+      return null;
+    }
+    return expiresAt;
+  }
+
+  /**
+   * Sign a camera ID and expiry time
+   */
+  _sign(cameraId, expiresAt) {
+    return crypto
+      .createHmac("sha256", this.secret)
+      .update(`${cameraId}:${expiresAt}`)
+      .digest("base64url");
+  }
+
+  /**
+   * Load the signing secret next to the users file, creating it on first use
+   * Deleting the file invalidates all share links
+   */
+  _loadSecret() {
+    const secretPath = path.resolve(
+      path.dirname(config.auth.usersFile),
+      "share_secret"
+    );
+    try {
+      if (fs.existsSync(secretPath)) {
+        return fs.readFileSync(secretPath, "utf8").trim();
+      }
+      const secret = crypto.randomBytes(32).toString("hex");
+      fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+      fs.writeFileSync(secretPath, secret + "\n", { mode: 0o600 });
+      return secret;
+    } catch (err) {
+      // Links will only stay valid until the server restarts
+      console.warn("Warning: Could not store share link secret:", err.message);
+      return crypto.randomBytes(32).toString("hex");
+    }
+  }
+}
+
+module.exports = ShareLinkManager;
@@ -0,0 +1,93 @@
+const ffmpeg = require("fluent-ffmpeg");
+const fs = require("fs");
+const config = require("./config");
+const { getSegmentInput } = require("./hlsPlaylist");
+
+class SnapshotManager {
+  constructor(segmentWatcher) {
+    this.segmentWatcher = segmentWatcher;
+    this.cache = new Map(); // Map of cameraId -> { image, timestamp, createdAt }
+    this.pending = new Map(); // Map of cameraId -> in-flight extraction promise
+  }
+
+  /**
+   * Get a JPEG snapshot of the latest frame of a running stream
+   * Cached snapshots and in-flight extractions are shared between requests
+   */
+  getSnapshot(cameraId) {
+    const cached = this.cache.get(cameraId);
+    if (cached && Date.now() - cached.createdAt < config.snapshot.cacheTtl) {
+      return Promise.resolve(cached);
+    }
+
+    if (this.pending.has(cameraId)) {
+      return this.pending.get(cameraId);
+    }
+
+    const segments = this.segmentWatcher
+      .listLiveSegments(cameraId)
+      .filter((segment) => fs.existsSync(segment.path));
+    const latest = segments[segments.length - 1];
+    if (!latest) {
+      return Promise.reject(new Error("No live segments available"));
+    }
+
+    // Cached snapshot still comes from the newest segment - keep serving it
+    if (cached && cached.segmentPath === latest.path) {
+      cached.createdAt = Date.now();
+      return Promise.resolve(cached);
+    }
+
+    // Seeking from the end needs a known duration, which fMP4 fragments lack
+    const position = latest.initPath
+      ? Math.max(0, latest.duration - 0.5)
+      : null;
+    const promise = this.extractFrame(getSegmentInput(latest), position)
+      .then((image) => {
+        const snapshot = {
+          image: image,
+          timestamp: latest.startTime + latest.duration * 1000,
+          segmentPath: latest.path,
+          createdAt: Date.now(),
+        };
+        this.cache.set(cameraId, snapshot);
+        return snapshot;
+      })
+      .finally(() => {
+        this.pending.delete(cameraId);
+      });
+
+    this.pending.set(cameraId, promise);
+    return promise;
+  }
+
+  /**
+   * Extract a single JPEG frame from a media file or FFmpeg input
+   * Uses the frame at position (seconds), or the last frame when not given
+   */
+  extractFrame(inputPath, position = null) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const seekOptions =
+        position !== null ? ["-ss", position.toFixed(3)] : ["-sseof", "-0.5"];
+      const ffmpegCmd = ffmpeg(inputPath)
+        .inputOptions(seekOptions)
+        .addOption("-frames:v", "1")
+        .addOption("-q:v", config.snapshot.quality.toString())
+        .addOption("-c:v", "mjpeg")
+        .addOption("-f", "image2pipe")
+        .on("error", (err) => reject(err))
+        .on("end", () => {
+          if (chunks.length === 0) {
+            reject(new Error("No frame could be extracted"));
+          } else {
+            resolve(Buffer.concat(chunks));
+          }
+        });
+
+      ffmpegCmd.pipe().on("data", (chunk) => chunks.push(chunk));
+    });
+  }
+}
+
+module.exports = SnapshotManager;
@@ -0,0 +1,97 @@
+const { canAccessCamera } = require("./permissions");
+
+// Comment sent periodically so proxies don't close idle connections
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Pushes stream status changes and camera list changes to browsers over
+ * Server-Sent Events, limited to the cameras each user may access
+ */
+class StatusStream {
+  constructor(streamManager) {
+    this.streamManager = streamManager;
+    this.clients = new Set(); // Set of { res, user }
+    this.heartbeatTimer = null;
+    this._onStatus = this._onStatus.bind(this);
+    this._onCameras = this._onCameras.bind(this);
+  }
+
+  /**
+   * Start forwarding stream manager events
+   */
+  start() {
+    this.streamManager.on("status", this._onStatus);
+    this.streamManager.on("cameras", this._onCameras);
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach((client) => client.res.write(": heartbeat\n\n"));
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  /**
+   * Stop forwarding events and close all connections
+   */
+  stop() {
+    this.streamManager.removeListener("status", this._onStatus);
+    this.streamManager.removeListener("cameras", this._onCameras);
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    this.clients.forEach((client) => client.res.end());
+    this.clients.clear();
+  }
+
+  /**
+   * Handle an event stream request, starting with the current status of
+   * every camera the user may access
+   */
+  handle(req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Disable response buffering in nginx
+    });
+    res.write("retry: 5000\n\n");
+
+    const client = { res: res, user: req.user };
+    const allStatus = this.streamManager.getStatus();
+    Object.keys(allStatus).forEach((cameraId) => {
+      if (canAccessCamera(client.user, cameraId)) {
+        this._send(client, "status", allStatus[cameraId]);
+      }
+    });
+
+    this.clients.add(client);
+    req.on("close", () => {
+      this.clients.delete(client);
+    });
+  }
+
+  /**
+   * Forward a status change to clients with access to the camera
+   */
+  _onStatus(status) {
+    this.clients.forEach((client) => {
+      if (canAccessCamera(client.user, status.cameraId)) {
+        this._send(client, "status", status);
+      }
+    });
+  }
+
+  /**
+   * Tell clients to reload the camera list
+   */
+  _onCameras() {
+    this.clients.forEach((client) => this._send(client, "cameras", {}));
+  }
+
+  /**
+   * Write an event to a client
+   */
+  _send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+}
+
+module.exports = StatusStream;
@@ -1,25 +1,173 @@
+const EventEmitter = require("events");
 const ffmpeg = require("fluent-ffmpeg");
 const fs = require("fs");
 const path = require("path");
 const config = require("./config");
+const InputProber = require("./inputProber");
+const LowLatencyHlsWriter = require("./lowLatencyHls");
+const RtpFeed = require("./rtpFeed");
+const MseFeed = require("./mseFeed");
+const { canAccessCamera } = require("./permissions");
 
-class StreamManager {
+// File in a camera's HLS directory FFmpeg keeps replacing with the latest
+// frame of the MJPEG output
+const MJPEG_FRAME_FILE = "mjpeg.jpg";
+
+// Camera fields read while streaming - changing them needs no FFmpeg restart
+const LIVE_FIELDS = new Set([
+  "name",
+  "onDemand",
+  "recordingMode",
+  "recordingRetentionDays",
+  "recordingMaxSizeMB",
+  "preRollSeconds",
+  "postRollSeconds",
+  "motionDetection",
+  "motionThreshold",
+  "motionRegion",
+  // MJPEG has its own FFmpeg process
+  "mjpeg",
+  "mjpegFps",
+  "mjpegScale",
+]);
+
+/**
+ * Hide RTSP passwords in FFmpeg messages
+ */
+function maskCredentials(text) {
+  return text.replace(/:[^:@\s]+@/g, ":****@");
+}
+
+/**
+ * Parse a bitrate such as "2048k" or "4M" into bits per second
+ */
+function parseBitrate(bitrate) {
+  const match = String(bitrate).match(/^(\d+(?:\.\d+)?)([kKmM]?)$/);
+  if (!match) return 0;
+  const multiplier = { k: 1000, m: 1000000 }[match[2].toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * Get the name of an ABR ladder rendition, e.g. "720p"
+ */
+function getRenditionName(rendition) {
+  return rendition.name || `${rendition.height}p`;
+}
+
+/**
+ * Get the settings of a camera's sub stream: the camera's own, except those
+ * specific to the main stream's codec, resolution and latency
+ */
+function getSubStreamCamera(camera) {
+  const { abrLadder, videoScale, videoDecoder, lowLatency, ...subCamera } =
+    camera;
+  return { ...subCamera, rtspUrl: camera.subRtspUrl };
+}
+
+/**
+ * Runs one FFmpeg process per camera
+ * Emits "status" on every status change and "cameras" when cameras are
+ * added, updated or removed
+ * Cameras streaming on demand wait in the "idle" status until a viewer
+ * starts them (see ViewerTracker)
+ */
+class StreamManager extends EventEmitter {
   constructor() {
+    super();
     this.streams = new Map(); // Map of cameraId -> stream info
     this.onStatusChange = null;
+    this.prober = new InputProber();
 
     // Initialize streams for all cameras
     config.cameras.forEach((camera) => {
-      this.streams.set(camera.id, {
-        camera: camera,
-        ffmpegProcess: null,
-        isStreaming: false,
-        reconnectAttempts: 0,
-        reconnectTimer: null,
-      });
+      this._createStream(camera);
     });
   }
 
+  /**
+   * Add a camera at runtime and start streaming it
+   */
+  addCamera(camera) {
+    if (this.streams.has(camera.id)) {
+      throw new Error(`Camera ${camera.id} already exists`);
+    }
+    this._createStream(camera);
+    console.log(`[${camera.name}] Camera added`);
+    this.emit("cameras");
+    this._startOrIdle(camera.id);
+  }
+
+  /**
+   * Replace the settings of a camera, restarting its stream if it was running
+   * and a setting used by FFmpeg changed
+   */
+  updateCamera(camera) {
+    const stream = this.streams.get(camera.id);
+    if (!stream) {
+      throw new Error(`Camera ${camera.id} not found`);
+    }
+
+    const needsRestart = Object.keys({ ...stream.camera, ...camera }).some(
+      (field) =>
+        !LIVE_FIELDS.has(field) &&
+        JSON.stringify(stream.camera[field]) !== JSON.stringify(camera[field])
+    );
+    const mjpegChanged = ["rtspUrl", "mjpeg", "mjpegFps", "mjpegScale"].some(
+      (field) =>
+        JSON.stringify(stream.camera[field]) !== JSON.stringify(camera[field])
+    );
+    if (!needsRestart) {
+      stream.camera = camera;
+      console.log(`[${camera.name}] Camera settings updated`);
+      this.emit("cameras");
+      this._startIfAlwaysOn(camera.id);
+      if (mjpegChanged) this._restartMjpeg(camera.id);
+      return;
+    }
+
+    const wasRunning = this.isRunning(camera.id);
+    const wasIdle = stream.status === "idle";
+    this.stopStream(camera.id);
+    stream.camera = camera;
+    console.log(`[${camera.name}] Camera settings updated`);
+    this.emit("cameras");
+    if (wasRunning) {
+      this.startStream(camera.id);
+    } else if (wasIdle) {
+      this._startOrIdle(camera.id);
+    }
+    if (mjpegChanged) this._restartMjpeg(camera.id);
+  }
+
+  /**
+   * Stop and remove a camera at runtime, deleting its live HLS files
+   */
+  removeCamera(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream) return;
+
+    this.stopStream(cameraId);
+    this._stopMjpeg(stream);
+    this._closeRtpFeed(stream);
+    this._closeMseFeed(stream);
+    this.streams.delete(cameraId);
+    console.log(`[${stream.camera.name}] Camera removed`);
+    this.emit("cameras");
+
+    try {
+      fs.rmSync(path.resolve(config.hlsOutputDir, cameraId), {
+        recursive: true,
+        force: true,
+      });
+    } catch (err) {
+      console.warn(
+        `Warning: Could not delete HLS directory for ${cameraId}:`,
+        err.message
+      );
+    }
+  }
+
   /**
    * Start streaming from a specific camera
    */
@@ -32,13 +180,14 @@ class StreamManager {
       return;
     }
 
-    if (stream.isStreaming) {
+    if (stream.isStreaming || stream.probing) {
       console.log(`Stream for ${targetCameraId} already running`);
       return;
     }
 
+    stream.startedAt = Date.now();
     this._ensureHlsDirectory(targetCameraId);
-    this._startFFmpeg(targetCameraId);
+    this._probeAndStart(targetCameraId, true);
   }
 
   /**
@@ -46,16 +195,80 @@ class StreamManager {
    */
   stopStream(cameraId = null) {
     const targetCameraId = cameraId || config.cameras[0]?.id;
+    if (this._stopProcess(targetCameraId)) {
+      this._updateStatus(targetCameraId, "stopped");
+    }
+  }
+
+  /**
+   * Stop the stream of an on-demand camera nobody is watching
+   * The next viewer starts it again
+   */
+  idleStream(cameraId, message = "") {
+    if (this._stopProcess(cameraId)) {
+      this._updateStatus(cameraId, "idle", message);
+    }
+  }
+
+  /**
+   * Whether a camera's FFmpeg process is running, being probed for or
+   * waiting to reconnect
+   */
+  isRunning(cameraId) {
+    const stream = this.streams.get(cameraId);
+    return Boolean(
+      stream &&
+        (stream.ffmpegProcess || stream.reconnectTimer || stream.probing)
+    );
+  }
+
+  /**
+   * Whether a camera only streams while someone is watching
+   * Cameras that record or detect motion need their stream around the clock
+   */
+  isOnDemand(camera) {
+    const onDemand =
+      camera.onDemand !== undefined ? camera.onDemand : config.onDemand.enabled;
+    if (!onDemand) return false;
+
+    const recordingMode = camera.recordingMode || config.recording.defaultMode;
+    const motionDetection =
+      camera.motionDetection !== undefined
+        ? camera.motionDetection
+        : config.motion.defaultEnabled;
+    return recordingMode === "disabled" && !motionDetection;
+  }
+
+  /**
+   * Start an idle on-demand camera for a viewer
+   * Returns whether the stream was started
+   */
+  startOnDemand(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream || stream.status !== "idle") {
+      return false;
+    }
+    console.log(`[${stream.camera.name}] Viewer connected, starting stream`);
+    this.startStream(cameraId);
+    return true;
+  }
+
+  /**
+   * Kill a camera's FFmpeg process and cancel pending probes and reconnects
+   * Returns false if the camera doesn't exist
+   */
+  _stopProcess(targetCameraId) {
     const stream = this.streams.get(targetCameraId);
 
     if (!stream) {
-      return;
+      return false;
     }
 
     if (stream.reconnectTimer) {
       clearTimeout(stream.reconnectTimer);
       stream.reconnectTimer = null;
     }
+    stream.probing = null; // FFmpeg won't start when a running probe ends
 
     if (stream.ffmpegProcess) {
       console.log(`Stopping FFmpeg process for ${targetCameraId}...`);
@@ -65,25 +278,73 @@ class StreamManager {
 
     stream.isStreaming = false;
     stream.reconnectAttempts = 0;
-    this._updateStatus(targetCameraId, "stopped");
+    return true;
+  }
+
+  /**
+   * Start a camera's stream, or leave it idle until a viewer starts it when
+   * it streams on demand
+   */
+  _startOrIdle(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream) return;
+
+    if (this.isOnDemand(stream.camera)) {
+      this._updateStatus(cameraId, "idle", "Starts when someone watches");
+    } else {
+      this.startStream(cameraId);
+    }
+  }
+
+  /**
+   * Start an idle camera that no longer streams on demand, e.g. after
+   * recording was enabled
+   */
+  _startIfAlwaysOn(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (stream && stream.status === "idle" && !this.isOnDemand(stream.camera)) {
+      this.startStream(cameraId);
+    }
+  }
+
+  /**
+   * Kill a running FFmpeg process that stopped producing output and restart
+   * it with the reconnection backoff, reporting the reason in its status
+   */
+  restartStalledStream(cameraId, reason) {
+    const stream = this.streams.get(cameraId);
+    if (!stream || !stream.ffmpegProcess) {
+      return;
+    }
+
+    console.warn(`[${stream.camera.name}] ${reason}, restarting FFmpeg`);
+    const ffmpegProcess = stream.ffmpegProcess;
+    // Clear first so the error handler ignores the killed process
+    stream.ffmpegProcess = null;
+    stream.isStreaming = false;
+    // A hung process may not react to SIGTERM
+    ffmpegProcess.kill("SIGKILL");
+    this._updateStatus(cameraId, "stalled", reason);
+    this._scheduleReconnect(cameraId);
   }
 
   /**
-   * Start all camera streams
+   * Start all camera streams, except those streaming on demand
    */
   startAllStreams() {
     config.cameras.forEach((camera) => {
-      this.startStream(camera.id);
+      this._startOrIdle(camera.id);
     });
   }
 
   /**
-   * Stop all camera streams
+   * Stop all camera streams and MJPEG processes
    */
   stopAllStreams() {
     config.cameras.forEach((camera) => {
       this.stopStream(camera.id);
     });
+    this.streams.forEach((stream) => this._stopMjpeg(stream));
   }
 
   /**
@@ -95,54 +356,347 @@ class StreamManager {
       if (!stream) {
         return null;
       }
-      return {
-        cameraId: cameraId,
-        cameraName: stream.camera.name,
-        isStreaming: stream.isStreaming,
-        reconnectAttempts: stream.reconnectAttempts,
-      };
+      return this._getStreamStatus(cameraId, stream);
     }
 
     // Return status for all cameras
     const allStatus = {};
     this.streams.forEach((stream, id) => {
-      allStatus[id] = {
-        cameraId: id,
-        cameraName: stream.camera.name,
-        isStreaming: stream.isStreaming,
-        reconnectAttempts: stream.reconnectAttempts,
-      };
+      allStatus[id] = this._getStreamStatus(id, stream);
     });
     return allStatus;
   }
 
   /**
-   * Get list of all cameras
+   * Get details of a camera's stream for troubleshooting: input codecs,
+   * resolution, frame rate, audio streams, last error and uptime
+   */
+  getDiagnostics(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream) {
+      return null;
+    }
+
+    const startedAt = stream.isStreaming ? stream._streamStartTime : null;
+    return {
+      ...this._getStreamStatus(cameraId, stream),
+      restarts: stream.restarts,
+      startedAt: startedAt,
+      uptime: startedAt ? Math.round((Date.now() - startedAt) / 1000) : 0,
+      input: stream.isStreaming ? stream.input : null,
+      output:
+        stream.isStreaming && stream.progress
+          ? { fps: stream.progress.fps, speed: stream.progress.speed }
+          : null,
+      lastError: stream.lastError,
+    };
+  }
+
+  /**
+   * Get the last ffprobe result of a camera's input and the settings chosen
+   * from it
    */
-  getCameras() {
-    return config.cameras.map((camera) => ({
-      id: camera.id,
-      name: camera.name,
+  getProbe(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream) {
+      return null;
+    }
+
+    const probe = stream.probe || {};
+    const result = probe.result || {};
+    return {
+      cameraId: cameraId,
+      cameraName: stream.camera.name,
+      enabled: config.probe.enabled,
+      probing: Boolean(stream.probing),
+      probedAt: result.probedAt || null,
+      error: result.error || null,
+      video: result.video || null,
+      audioStreams: result.audioStreams || [],
+      autoSettings: probe.settings || {},
+      reasons: probe.reasons || {},
+      subStream: probe.sub
+        ? {
+            error: probe.sub.result.error,
+            video: probe.sub.result.video,
+            audioStreams: probe.sub.result.audioStreams,
+            autoSettings: probe.sub.settings,
+            reasons: probe.sub.reasons,
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Get the ABR ladder renditions a camera's FFmpeg process produces, with
+   * their bandwidth and (once the input size is known) resolution
+   * Returns null for cameras without a ladder
+   */
+  getRenditions(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream || !stream.output || !stream.output.renditions) {
+      return null;
+    }
+
+    const source =
+      (stream.probe && stream.probe.result.video) || stream.input || {};
+    return stream.output.renditions.map((rendition) => ({
+      name: rendition.name,
+      height: rendition.height,
+      // Scaled with "-2:height", which keeps the aspect ratio at an even width
+      width:
+        source.width && source.height
+          ? Math.round((source.width * rendition.height) / source.height / 2) *
+            2
+          : null,
+      bandwidth: rendition.bandwidth,
     }));
   }
 
+  /**
+   * Get the file name of a camera's live media playlist
+   * With an ABR ladder every rendition has its own playlist; the first one
+   * is used unless another rendition is named
+   * Returns null for an unknown rendition
+   */
+  getPlaylistName(cameraId, rendition = null) {
+    const renditions = this.getRenditions(cameraId);
+    if (!renditions) {
+      return rendition ? null : "playlist.m3u8";
+    }
+    const name = rendition || renditions[0].name;
+    return renditions.some((entry) => entry.name === name)
+      ? `playlist_${name}.m3u8`
+      : null;
+  }
+
+  /**
+   * Get the writer of a camera's Low-Latency HLS output, or null if the
+   * camera doesn't stream Low-Latency HLS
+   */
+  getLowLatencyWriter(cameraId) {
+    const stream = this.streams.get(cameraId);
+    return stream && stream.output && stream.output.lowLatency
+      ? stream.lowLatencyWriter
+      : null;
+  }
+
+  /**
+   * Get the RTP feed of a camera's WebRTC output, opening it if needed, or
+   * null if the camera has no WebRTC output
+   * The feed stays open while the stream restarts or idles, so WebRTC
+   * viewers stay connected
+   */
+  getRtpFeed(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream || !this._hasWebRtc(stream)) return null;
+    if (!stream.rtpFeed) {
+      stream.rtpFeed = new RtpFeed(stream.camera.name);
+    }
+    return stream.rtpFeed;
+  }
+
+  /**
+   * Get the feed of a camera's MSE output, opening it if needed, or null if
+   * the camera has no MSE output
+   * Like the RTP feed it outlives FFmpeg restarts, and viewers get the new
+   * init segment
+   */
+  getMseFeed(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream || !this._hasMse(stream)) return null;
+    if (!stream.mseFeed) {
+      stream.mseFeed = new MseFeed(stream.camera.name);
+    }
+    return stream.mseFeed;
+  }
+
+  /**
+   * Get the file a camera's MJPEG output keeps replacing with its latest
+   * frame and the frame rate ({ path, fps }), or null if the camera has no
+   * MJPEG output
+   */
+  getMjpegOutput(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream || stream.camera.mjpeg !== true) return null;
+    return {
+      path: path.join(config.hlsOutputDir, cameraId, MJPEG_FRAME_FILE),
+      fps: stream.camera.mjpegFps || config.mjpeg.fps,
+    };
+  }
+
+  /**
+   * Start a camera's MJPEG process when its first viewer arrives and stop it
+   * when the last one is gone
+   * It reads the camera input on its own, so the HLS stream never restarts
+   * for MJPEG viewers
+   */
+  setMjpegWatched(cameraId, watched) {
+    const stream = this.streams.get(cameraId);
+    if (!stream || stream.mjpegWatched === watched) return;
+    stream.mjpegWatched = watched;
+    stream.mjpegRetries = 0;
+    this._restartMjpeg(cameraId);
+  }
+
+  /**
+   * Get list of cameras, limited to those the given user may access
+   */
+  getCameras(user = null) {
+    return config.cameras
+      .filter((camera) => canAccessCamera(user, camera.id))
+      .map((camera) => {
+        const stream = this.streams.get(camera.id);
+        return {
+          id: camera.id,
+          name: camera.name,
+          videoCodec: stream && stream.output ? stream.output.videoCodec : null,
+          lowLatency: Boolean(
+            stream && stream.output && stream.output.lowLatency
+          ),
+          webrtc: Boolean(stream && this._hasWebRtc(stream)),
+          mse: Boolean(stream && this._hasMse(stream)),
+          mjpeg: camera.mjpeg === true,
+          renditions:
+            stream && stream.output && stream.output.renditions
+              ? stream.output.renditions.map((rendition) => rendition.name)
+              : null,
+          subStream:
+            stream && stream.subOutput
+              ? { videoCodec: stream.subOutput.videoCodec }
+              : null,
+        };
+      });
+  }
+
+  /**
+   * Get full configuration of a camera
+   */
+  getCamera(cameraId) {
+    const stream = this.streams.get(cameraId);
+    return stream ? stream.camera : null;
+  }
+
   /**
    * Set callback for status changes
+   * Other listeners can subscribe to the "status" event
    */
   setStatusCallback(callback) {
     this.onStatusChange = callback;
   }
 
+  /**
+   * Create the stream state of a camera
+   */
+  _createStream(camera) {
+    this.streams.set(camera.id, {
+      camera: camera,
+      ffmpegProcess: null,
+      isStreaming: false,
+      reconnectAttempts: 0,
+      reconnectTimer: null,
+      restarts: 0, // FFmpeg processes started by reconnecting
+      startedAt: null, // Time the stream was last started by startStream
+      progress: null, // Last FFmpeg progress line: { frame, fps, speed, time }
+      probe: null, // Last ffprobe run: { rtspUrl, result, settings, reasons }
+      probing: null, // Promise of a running ffprobe
+      output: null, // { videoCodec, segmentType, renditions, lowLatency } of the HLS output
+      lowLatencyWriter: null, // LowLatencyHlsWriter of a Low-Latency HLS output
+      rtpFeed: null, // RtpFeed of the WebRTC output
+      mseFeed: null, // MseFeed of the MSE output
+      mjpegWatched: false, // Whether the MJPEG stream has viewers
+      mjpegProcess: null, // FFmpeg process writing MJPEG frames while watched
+      mjpegRetryTimer: null,
+      mjpegRetries: 0, // MJPEG process restarts since its viewers arrived
+      input: null, // Input stream details parsed from FFmpeg output
+      lastError: null, // { message, time }
+      status: "stopped", // Last status passed to _updateStatus
+      statusMessage: "",
+      statusTime: Date.now(),
+    });
+  }
+
+  /**
+   * Build the status report of a stream
+   */
+  _getStreamStatus(cameraId, stream) {
+    return {
+      cameraId: cameraId,
+      cameraName: stream.camera.name,
+      status: stream.status,
+      message: stream.statusMessage,
+      timestamp: stream.statusTime,
+      isStreaming: stream.isStreaming,
+      reconnectAttempts: stream.reconnectAttempts,
+    };
+  }
+
+  /**
+   * Record input codec, resolution, frame rate and audio streams from the
+   * stream listing FFmpeg prints after connecting
+   */
+  _parseStreamInfo(stream, stderrLine) {
+    // Stream lines are listed for the input first, then for the output
+    // Input #1 is the sub stream, which isn't reported
+    if (stderrLine.startsWith("Input #1")) {
+      stream._stderrSection = null;
+      return;
+    }
+    if (stderrLine.startsWith("Input #0")) {
+      stream._stderrSection = "input";
+      stream.input = {
+        videoCodec: null,
+        width: null,
+        height: null,
+        fps: null,
+        audioStreams: [],
+      };
+      return;
+    }
+    if (
+      stderrLine.startsWith("Output #0") ||
+      stderrLine.startsWith("Stream mapping:")
+    ) {
+      stream._stderrSection = "output";
+      return;
+    }
+    if (stream._stderrSection !== "input") return;
+
+    // e.g. "Stream #0:0: Video: h264 (Main), yuv420p, 1920x1080, 25 fps, ..."
+    const match = stderrLine.match(
+      /Stream #(\d+:\d+)\S*: (Video|Audio): (\w+)/
+    );
+    if (!match) return;
+
+    if (match[2] === "Video" && !stream.input.videoCodec) {
+      const sizeMatch = stderrLine.match(/, (\d{2,5})x(\d{2,5})/);
+      const fpsMatch = stderrLine.match(/([\d.]+) fps/);
+      stream.input.videoCodec = match[3];
+      stream.input.width = sizeMatch ? parseInt(sizeMatch[1], 10) : null;
+      stream.input.height = sizeMatch ? parseInt(sizeMatch[2], 10) : null;
+      stream.input.fps = fpsMatch ? parseFloat(fpsMatch[1]) : null;
+    } else if (match[2] === "Audio") {
+      // e.g. "Stream #0:1: Audio: aac (LC), 16000 Hz, mono, fltp"
+      const audioMatch = stderrLine.match(/(\d+) Hz, ([^,]+)/);
+      stream.input.audioStreams.push({
+        stream: match[1],
+        codec: match[3],
+        sampleRate: audioMatch ? parseInt(audioMatch[1], 10) : null,
+        channels: audioMatch ? audioMatch[2].trim() : null,
+      });
+    }
+  }
+
   /**
    * Configure audio stream mapping and encoding based on explicit mode
+   * The audio stream of the given input is mapped once per ABR rendition
+   * (copies)
+   * Returns whether audio is mapped
    */
-  _configureAudio(ffmpegCmd, camera) {
+  _configureAudio(ffmpegCmd, camera, copies = 1, input = 0) {
     // Determine audio mode: per-camera override or global default
     const audioMode = camera.audioMode || config.ffmpeg.defaultAudioMode;
-    const audioStreamIndex =
-      camera.audioStreamIndex !== undefined
-        ? camera.audioStreamIndex
-        : config.ffmpeg.defaultAudioStreamIndex;
+    const audioStreamIndex = camera.audioStreamIndex;
     const audioEncodingMode =
       camera.audioEncodingMode || config.ffmpeg.defaultAudioEncodingMode;
 
@@ -156,27 +710,47 @@ class StreamManager {
       case "disabled":
         // No audio mapping - stream will have no audio track
         console.log(`[${camera.name}] Audio disabled`);
-        break;
+        return false;
 
       case "manual":
         // Use specific audio stream index
         console.log(
           `[${camera.name}] Using audio stream index: ${audioStreamIndex}`
         );
-        ffmpegCmd.addOption("-map", `0:a:${audioStreamIndex}?`);
+        for (let i = 0; i < copies; i++) {
+          ffmpegCmd.addOption("-map", `${input}:a:${audioStreamIndex}?`);
+        }
         this._addAudioEncoding(ffmpegCmd, audioEncodingMode);
-        break;
+        return true;
 
       case "auto":
       default:
         // Auto-detect first available audio stream
         console.log(`[${camera.name}] Auto-detecting audio stream`);
-        ffmpegCmd.addOption("-map", "0:a?");
+        if (copies === 1) {
+          ffmpegCmd.addOption("-map", `${input}:a?`);
+        } else {
+          // Every rendition gets exactly one audio stream
+          for (let i = 0; i < copies; i++) {
+            ffmpegCmd.addOption("-map", `${input}:a:0?`);
+          }
+        }
         this._addAudioEncoding(ffmpegCmd, audioEncodingMode);
-        break;
+        return true;
     }
   }
 
+  /**
+   * Whether an input may have audio: false only if a probe found none
+   */
+  _hasAudioInput(probeResult) {
+    return (
+      !probeResult ||
+      Boolean(probeResult.error) ||
+      probeResult.audioStreams.length > 0
+    );
+  }
+
   /**
    * Add audio encoding options based on encoding mode
    */
@@ -200,7 +774,7 @@ class StreamManager {
   /**
    * Configure video encoding based on explicit mode
    */
-  _configureVideo(ffmpegCmd, camera) {
+  _configureVideo(ffmpegCmd, camera, output) {
     // Determine video mode: per-camera override or global default
     const videoMode = camera.videoMode || config.ffmpeg.defaultVideoMode;
 
@@ -209,16 +783,17 @@ class StreamManager {
     switch (videoMode) {
       case "passthrough":
         // Copy video stream without re-encoding (saves CPU)
-        // NOTE: For H.265/HEVC streams, use fMP4 segments, not .ts
-        // For Hikvision NVRs, reencode mode is recommended
         console.log(
           `[${camera.name}] Using video passthrough (no re-encoding)`
         );
-        // Note: This assumes H.264 input. For H.265, would need hevc_mp4toannexb and fMP4 segments
-        ffmpegCmd
-          .addOption("-c:v", "copy")
-          .addOption("-bsf:v", "h264_mp4toannexb") // Convert to Annex-B format for HLS (H.264 only)
-          .addOption("-avoid_negative_ts", "make_zero");
+        ffmpegCmd.addOption("-c:v", "copy");
+        if (output.videoCodec === "hevc") {
+          // H.265 goes into fMP4 segments; browsers expect the hvc1 tag
+          ffmpegCmd.addOption("-tag:v", "hvc1");
+        } else if (output.segmentType === "mpegts") {
+          ffmpegCmd.addOption("-bsf:v", "h264_mp4toannexb"); // Convert to Annex-B format for MPEG-TS segments
+        }
+        ffmpegCmd.addOption("-avoid_negative_ts", "make_zero");
         break;
 
       case "reencode":
@@ -258,7 +833,6 @@ class StreamManager {
 
         ffmpegCmd
           .addOption("-c:v", config.ffmpeg.videoCodec)
-          .addOption("-b:v", config.ffmpeg.videoBitrate)
           .addOption("-preset", config.ffmpeg.videoPreset)
           .addOption("-crf", config.ffmpeg.crf.toString())
           .addOption("-g", "30") // Keyframe every 1 second at 30fps (more frequent for corruption recovery)
@@ -274,8 +848,29 @@ class StreamManager {
           console.log(`[${camera.name}] Limiting frame rate to ${maxFPS} FPS`);
         }
 
+        if (output.renditions) {
+          // One scaled video stream per ABR rendition, capped at its bitrate
+          output.renditions.forEach((rendition, index) => {
+            ffmpegCmd
+              .addOption(`-b:v:${index}`, rendition.bitrate)
+              .addOption(`-maxrate:v:${index}`, rendition.bitrate)
+              .addOption(
+                `-bufsize:v:${index}`,
+                `${Math.round(parseBitrate(rendition.bitrate) / 500)}k`
+              )
+              .addOption(`-filter:v:${index}`, `scale=-2:${rendition.height}`);
+          });
+          console.log(
+            `[${camera.name}] Encoding ABR ladder: ${output.renditions
+              .map((rendition) => `${rendition.name} @ ${rendition.bitrate}`)
+              .join(", ")}`
+          );
+        } else {
+          ffmpegCmd.addOption("-b:v", config.ffmpeg.videoBitrate);
+        }
+
         // Scale down resolution if specified (significantly reduces CPU usage)
-        if (videoScale) {
+        if (videoScale && !output.renditions) {
           ffmpegCmd.addOption("-vf", `scale=${videoScale}`);
           console.log(`[${camera.name}] Scaling video to ${videoScale}`);
         }
@@ -298,10 +893,58 @@ class StreamManager {
   }
 
   /**
-   * Ensure HLS output directory exists for a camera and clean old segments
+   * Determine the video codec and HLS segment type FFmpeg will produce
+   * H.265 can only be passed through in fMP4 segments, and Low-Latency HLS
+   * parts are fMP4 fragments as well
    */
-  _ensureHlsDirectory(cameraId) {
-    const hlsDir = path.resolve(config.hlsOutputDir, cameraId);
+  _getOutputFormat(probeResult, camera) {
+    const videoMode = camera.videoMode || config.ffmpeg.defaultVideoMode;
+    const lowLatency = camera.lowLatency === true;
+    if (videoMode !== "passthrough") {
+      return {
+        videoCodec: "h264",
+        segmentType: lowLatency ? "fmp4" : "mpegts",
+        renditions: lowLatency ? null : this._getRenditionSettings(camera),
+        lowLatency: lowLatency,
+      };
+    }
+
+    const probed =
+      probeResult && probeResult.video ? probeResult.video.codec : null;
+    const inputCodec = probed || camera.videoDecoder || "h264";
+    return {
+      videoCodec: inputCodec,
+      segmentType: inputCodec === "hevc" || lowLatency ? "fmp4" : "mpegts",
+      renditions: null,
+      lowLatency: lowLatency,
+    };
+  }
+
+  /**
+   * Get the renditions of a camera's ABR ladder with their bandwidth
+   * (video plus audio bitrate), or null without a ladder
+   */
+  _getRenditionSettings(camera) {
+    if (!Array.isArray(camera.abrLadder) || camera.abrLadder.length === 0) {
+      return null;
+    }
+    const audioMode = camera.audioMode || config.ffmpeg.defaultAudioMode;
+    const audioBitrate =
+      audioMode === "disabled" ? 0 : parseBitrate(config.ffmpeg.audioBitrate);
+    return camera.abrLadder.map((rendition) => ({
+      name: getRenditionName(rendition),
+      height: rendition.height,
+      bitrate: rendition.bitrate,
+      bandwidth: parseBitrate(rendition.bitrate) + audioBitrate,
+    }));
+  }
+
+  /**
+   * Ensure HLS output directory exists for a camera (or one of its
+   * subdirectories) and clean old segments
+   */
+  _ensureHlsDirectory(cameraId, subdirectory = "") {
+    const hlsDir = path.resolve(config.hlsOutputDir, cameraId, subdirectory);
     if (!fs.existsSync(hlsDir)) {
       fs.mkdirSync(hlsDir, { recursive: true });
       console.log(`Created HLS output directory: ${hlsDir}`);
@@ -311,7 +954,7 @@ class StreamManager {
         const files = fs.readdirSync(hlsDir);
         let cleanedCount = 0;
         files.forEach((file) => {
-          if (file.endsWith(".ts") || file.endsWith(".m3u8")) {
+          if (/\.(ts|m4s|mp4|m3u8)$/.test(file)) {
             try {
               fs.unlinkSync(path.join(hlsDir, file));
               cleanedCount++;
@@ -333,25 +976,69 @@ class StreamManager {
   }
 
   /**
-   * Start FFmpeg process for a specific camera
+   * Probe a camera's input with ffprobe, then start FFmpeg with the settings
+   * chosen from the result
+   * Reconnects reuse the last successful probe unless refresh is set
    */
-  _startFFmpeg(cameraId) {
+  _probeAndStart(cameraId, refresh) {
     const stream = this.streams.get(cameraId);
     if (!stream) return;
 
     const camera = stream.camera;
-    const hlsPlaylist = path.join(
-      config.hlsOutputDir,
-      cameraId,
-      "playlist.m3u8"
-    );
+    const subCamera = camera.subRtspUrl ? getSubStreamCamera(camera) : null;
+    const probe = stream.probe;
+    const cached =
+      probe &&
+      probe.rtspUrl === camera.rtspUrl &&
+      probe.subRtspUrl === (subCamera ? subCamera.rtspUrl : null) &&
+      !probe.result.error &&
+      !(probe.sub && probe.sub.result.error);
+    if (!config.probe.enabled || (cached && !refresh)) {
+      this._startFFmpeg(cameraId);
+      return;
+    }
 
-    console.log(
-      `Starting FFmpeg stream for ${
-        camera.name
-      } (${cameraId}) from: ${camera.rtspUrl.replace(/:[^:@]+@/, ":****@")}`
-    );
+    console.log(`[${camera.name}] Probing input with ffprobe...`);
+    const probing = Promise.all([
+      this.prober.probe(camera),
+      subCamera ? this.prober.probe(subCamera) : null,
+    ]).then(([result, subResult]) => {
+      // Stopped, restarted or removed while probing
+      if (stream.probing !== probing || this.streams.get(cameraId) !== stream) {
+        return;
+      }
+      stream.probing = null;
+
+      const { settings, reasons } = this.prober.chooseSettings(
+        stream.camera,
+        result
+      );
+      stream.probe = {
+        rtspUrl: camera.rtspUrl,
+        subRtspUrl: subCamera ? subCamera.rtspUrl : null,
+        result: result,
+        settings: settings,
+        reasons: reasons,
+        sub: subCamera
+          ? {
+              result: subResult,
+              ...this.prober.chooseSettings(subCamera, subResult),
+            }
+          : null,
+      };
+      this._logProbe(camera.name, stream.probe);
+      if (stream.probe.sub) {
+        this._logProbe(`${camera.name} sub stream`, stream.probe.sub);
+      }
+      this._startFFmpeg(cameraId);
+    });
+    stream.probing = probing;
+  }
 
+  /**
+   * Get the FFmpeg input options for a camera's RTSP stream
+   */
+  _getInputOptions(camera) {
     // RTSP input options - default to TCP for better reliability (especially Hikvision NVRs)
     // Hikvision NVRs work much better with TCP transport
     const transport =
@@ -412,20 +1099,21 @@ class StreamManager {
       camera.errorDetection || config.ffmpeg.defaultErrorDetection;
     inputOptions.push("-err_detect", errorDetection);
 
-    const ffmpegCmd = ffmpeg(camera.rtspUrl)
-      .inputOptions(inputOptions)
-      // Map video stream
-      .addOption("-map", "0:v:0");
-
-    // Configure audio based on explicit mode
-    this._configureAudio(ffmpegCmd, camera);
-
-    // Configure video based on explicit mode
-    this._configureVideo(ffmpegCmd, camera);
+    return inputOptions;
+  }
 
-    // Ensure HLS directory exists before starting
-    this._ensureHlsDirectory(cameraId);
+  /**
+   * Get the playlist file name FFmpeg writes for an output format
+   * ("%v" stands for the name of each ABR rendition)
+   */
+  _getPlaylistFile(output) {
+    return output.renditions ? "playlist_%v.m3u8" : "playlist.m3u8";
+  }
 
+  /**
+   * Add the HLS muxer options of an output writing to hlsDir
+   */
+  _configureHlsOutput(ffmpegCmd, camera, output, hlsDir, hasAudio) {
     // Prepare HLS flags for continuous streaming
     // Add append_list to ensure continuous streaming
     let hlsFlags = config.ffmpeg.hlsFlags;
@@ -441,7 +1129,32 @@ class StreamManager {
     // Use configured HLS list size, or default from config
     const hlsListSize = camera.hlsListSize || config.ffmpeg.hlsListSize;
 
-    stream.ffmpegProcess = ffmpegCmd
+    // fMP4 segments share an init segment with the codec parameters
+    let segmentName = "segment_%d.ts";
+    if (output.segmentType === "fmp4") {
+      ffmpegCmd
+        .addOption("-hls_segment_type", "fmp4")
+        .addOption("-hls_fmp4_init_filename", "init.mp4");
+      segmentName = "segment_%d.m4s";
+    }
+
+    // Every ABR rendition gets its own playlist and segments, named after it
+    if (output.renditions) {
+      ffmpegCmd.addOption(
+        "-var_stream_map",
+        output.renditions
+          .map(
+            (rendition, index) =>
+              `v:${index}${hasAudio ? `,a:${index}` : ""},name:${
+                rendition.name
+              }`
+          )
+          .join(" ")
+      );
+      segmentName = "segment_%v_%d.ts";
+    }
+
+    ffmpegCmd
       .addOption("-f", "hls")
       .addOption("-hls_time", config.ffmpeg.hlsTime.toString())
       // HLS list size - number of segments to keep in playlist
@@ -452,11 +1165,404 @@ class StreamManager {
       // Start from 0 and increment sequentially
       .addOption("-hls_start_number_source", "generic")
       .addOption("-start_number", "0")
+      .addOption("-hls_segment_filename", path.join(hlsDir, segmentName));
+  }
+
+  /**
+   * Add the options of a Low-Latency HLS output: fragmented MP4 on stdout,
+   * cut at every keyframe and at least every part duration
+   */
+  _configureLowLatencyOutput(ffmpegCmd) {
+    ffmpegCmd
+      .addOption("-f", "mp4")
+      .addOption("-movflags", "frag_keyframe+empty_moov+default_base_moof")
       .addOption(
-        "-hls_segment_filename",
-        path.join(config.hlsOutputDir, cameraId, "segment_%d.ts")
-      )
-      .output(hlsPlaylist)
+        "-frag_duration",
+        Math.round(config.lowLatency.partDuration * 1000000).toString()
+      );
+  }
+
+  /**
+   * Whether a camera gets a WebRTC output: it has webrtc enabled and its
+   * input isn't known to be anything but H.264, which is passed through
+   */
+  _hasWebRtc(stream) {
+    const video =
+      stream.probe && stream.probe.result ? stream.probe.result.video : null;
+    return stream.camera.webrtc === true && (!video || video.codec === "h264");
+  }
+
+  /**
+   * Close a stream's RTP feed, disconnecting its WebRTC viewers
+   */
+  _closeRtpFeed(stream) {
+    if (stream.rtpFeed) {
+      stream.rtpFeed.close();
+      stream.rtpFeed = null;
+    }
+  }
+
+  /**
+   * Add the RTP outputs of a camera's WebRTC feed: the input video as is and
+   * the audio encoded to Opus, if the probe found the audio stream to use
+   * (FFmpeg doesn't start with an output that has no stream, so without a
+   * probe WebRTC viewers get video only)
+   */
+  _configureWebRtcOutput(ffmpegCmd, camera, rtpFeed, hlsDir, probeResult) {
+    const audioMode = camera.audioMode || config.ffmpeg.defaultAudioMode;
+    const audioStreamIndex =
+      audioMode === "manual" ? camera.audioStreamIndex : 0;
+    const hasAudio =
+      audioMode !== "disabled" &&
+      Boolean(probeResult && !probeResult.error) &&
+      audioStreamIndex < probeResult.audioStreams.length;
+
+    console.log(
+      `[${camera.name}] Adding WebRTC output (H.264 passthrough, ${
+        hasAudio ? "Opus audio" : "no audio"
+      })`
+    );
+    ffmpegCmd
+      .output(rtpFeed.getUrl("video"))
+      .addOption("-map", "0:v:0")
+      .addOption("-c:v", "copy")
+      // Repeat SPS/PPS before keyframes so viewers joining later can decode
+      .addOption("-bsf:v", "dump_extra")
+      .addOption("-f", "rtp")
+      // Write the session description to a file instead of stdout
+      .addOption("-sdp_file", path.join(hlsDir, "webrtc.sdp"));
+
+    if (!hasAudio) return;
+    ffmpegCmd
+      .output(rtpFeed.getUrl("audio"))
+      .addOption("-map", `0:a:${audioStreamIndex}`)
+      .addOption("-c:a", "libopus")
+      .addOption("-b:a", "64k")
+      .addOption("-ar", "48000")
+      .addOption("-ac", "2")
+      .addOption("-f", "rtp");
+  }
+
+  /**
+   * Whether a camera gets an MSE output: it has mse enabled and its input
+   * isn't known to be anything but H.264 or H.265, which is passed through
+   * (Low-Latency HLS output is shared instead, so any input works)
+   */
+  _hasMse(stream) {
+    const video =
+      stream.probe && stream.probe.result ? stream.probe.result.video : null;
+    return (
+      stream.camera.mse === true &&
+      (stream.camera.lowLatency === true ||
+        !video ||
+        video.codec === "h264" ||
+        video.codec === "hevc")
+    );
+  }
+
+  /**
+   * Close a stream's MSE feed, disconnecting its MSE viewers
+   */
+  _closeMseFeed(stream) {
+    if (stream.mseFeed) {
+      stream.mseFeed.close();
+      stream.mseFeed = null;
+    }
+  }
+
+  /**
+   * Add the output of a camera's MSE feed: the input video as is and the
+   * audio encoded like the HLS audio, as fragmented MP4 on stdout
+   */
+  _configureMseOutput(ffmpegCmd, camera, mseFeed, videoCodec) {
+    console.log(
+      `[${camera.name}] Adding MSE output (${videoCodec} passthrough)`
+    );
+    ffmpegCmd
+      .output(mseFeed.createWriter())
+      .addOption("-map", "0:v:0")
+      .addOption("-c:v", "copy");
+    if (videoCodec === "hevc") {
+      ffmpegCmd.addOption("-tag:v", "hvc1");
+    }
+
+    const audioMode = camera.audioMode || config.ffmpeg.defaultAudioMode;
+    if (audioMode !== "disabled") {
+      const audioStreamIndex =
+        audioMode === "manual" ? camera.audioStreamIndex : 0;
+      ffmpegCmd.addOption("-map", `0:a:${audioStreamIndex}?`);
+      this._addAudioEncoding(
+        ffmpegCmd,
+        camera.audioEncodingMode || config.ffmpeg.defaultAudioEncodingMode
+      );
+    }
+
+    ffmpegCmd
+      .addOption("-f", "mp4")
+      .addOption("-movflags", "frag_keyframe+empty_moov+default_base_moof");
+  }
+
+  /**
+   * Stop a camera's MJPEG process and start it again if it has viewers,
+   * e.g. after its settings changed
+   */
+  _restartMjpeg(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream) return;
+    this._stopMjpeg(stream);
+    if (stream.mjpegWatched && stream.camera.mjpeg === true) {
+      this._startMjpeg(cameraId);
+    }
+  }
+
+  /**
+   * Start an FFmpeg process reading the camera input and writing frames at
+   * a low rate, scaled down, over a single file
+   * Restarts with the reconnection backoff while it has viewers
+   */
+  _startMjpeg(cameraId) {
+    const stream = this.streams.get(cameraId);
+    // Fill in settings such as the video decoder from the probe result
+    const camera = {
+      ...stream.camera,
+      ...(stream.probe ? stream.probe.settings : {}),
+    };
+    const fps = camera.mjpegFps || config.mjpeg.fps;
+    const scale = camera.mjpegScale || config.mjpeg.scale;
+    const hlsDir = path.resolve(config.hlsOutputDir, cameraId);
+    fs.mkdirSync(hlsDir, { recursive: true });
+    console.log(
+      `[${camera.name}] Starting MJPEG process (${fps} fps, scaled to ${scale})`
+    );
+
+    const ffmpegCmd = ffmpeg(camera.rtspUrl)
+      .inputOptions(this._getInputOptions(camera))
+      .output(path.join(hlsDir, MJPEG_FRAME_FILE))
+      .addOption("-map", "0:v:0")
+      .addOption("-vf", `fps=${fps},scale=${scale}`)
+      .addOption("-c:v", "mjpeg")
+      .addOption("-pix_fmt", "yuvj420p")
+      .addOption("-q:v", "5")
+      .addOption("-f", "image2")
+      .addOption("-update", "1")
+      // Write to a temporary file and rename it, so readers never get half
+      // a frame
+      .addOption("-atomic_writing", "1");
+
+    const onExit = (message) => {
+      // Ignore processes stopped by _stopMjpeg
+      if (stream.mjpegProcess !== ffmpegCmd) return;
+      stream.mjpegProcess = null;
+      const delay = this._calculateReconnectDelay(stream.mjpegRetries++);
+      console.warn(
+        `[${camera.name}] MJPEG process ${message}, restarting in ${delay}ms`
+      );
+      stream.mjpegRetryTimer = setTimeout(() => {
+        stream.mjpegRetryTimer = null;
+        this._restartMjpeg(cameraId);
+      }, delay);
+    };
+    ffmpegCmd
+      .on("error", (err) => onExit(`failed: ${maskCredentials(err.message)}`))
+      .on("end", () => onExit("ended"));
+
+    stream.mjpegProcess = ffmpegCmd;
+    ffmpegCmd.run();
+  }
+
+  /**
+   * Stop a camera's MJPEG process and pending restart
+   */
+  _stopMjpeg(stream) {
+    clearTimeout(stream.mjpegRetryTimer);
+    stream.mjpegRetryTimer = null;
+    if (stream.mjpegProcess) {
+      console.log(`[${stream.camera.name}] Stopping MJPEG process`);
+      const mjpegProcess = stream.mjpegProcess;
+      stream.mjpegProcess = null;
+      mjpegProcess.kill("SIGTERM");
+    }
+  }
+
+  /**
+   * Log the result of a probe and the settings chosen from it
+   */
+  _logProbe(label, probe) {
+    const { result, settings, reasons } = probe;
+    if (result.error) {
+      console.warn(`[${label}] Probe failed: ${result.error}`);
+      return;
+    }
+    console.log(
+      `[${label}] Probed input: video ${
+        result.video ? result.video.codec : "none"
+      }, ${result.audioStreams.length} audio stream(s)`
+    );
+    Object.keys(settings).forEach((field) => {
+      console.log(
+        `[${label}] Auto-selected ${field} "${settings[field]}" (${reasons[field]})`
+      );
+    });
+  }
+
+  /**
+   * Start FFmpeg process for a specific camera
+   * A camera with a sub stream gets a second input and output in the same
+   * process, so both streams start, fail and restart together
+   */
+  _startFFmpeg(cameraId) {
+    const stream = this.streams.get(cameraId);
+    if (!stream) return;
+
+    // Fill in settings the camera leaves unset from the probe result
+    const probe = stream.probe || {};
+    const camera = { ...stream.camera, ...(probe.settings || {}) };
+
+    console.log(
+      `Starting FFmpeg stream for ${
+        camera.name
+      } (${cameraId}) from: ${camera.rtspUrl.replace(/:[^:@]+@/, ":****@")}`
+    );
+
+    const output = this._getOutputFormat(probe.result, camera);
+    const renditionCount = output.renditions ? output.renditions.length : 1;
+
+    const ffmpegCmd = ffmpeg(camera.rtspUrl).inputOptions(
+      this._getInputOptions(camera)
+    );
+    // Map video stream (once per ABR rendition)
+    for (let i = 0; i < renditionCount; i++) {
+      ffmpegCmd.addOption("-map", "0:v:0");
+    }
+
+    // Configure audio based on explicit mode (video-only inputs map none, so
+    // the ABR stream map doesn't list audio FFmpeg can't find)
+    const hasAudio =
+      this._hasAudioInput(probe.result) &&
+      this._configureAudio(ffmpegCmd, camera, renditionCount);
+
+    // Configure video based on explicit mode
+    this._configureVideo(ffmpegCmd, camera, output);
+
+    // Ensure HLS directory exists before starting
+    this._ensureHlsDirectory(cameraId);
+    const hlsDir = path.join(config.hlsOutputDir, cameraId);
+    if (output.lowLatency) {
+      // FFmpeg's HLS muxer can't write parts - the writer builds the
+      // playlist from the fragments FFmpeg pipes out
+      console.log(
+        `[${camera.name}] Writing Low-Latency HLS with ${config.lowLatency.partDuration}s parts`
+      );
+      this._configureLowLatencyOutput(ffmpegCmd);
+      stream.lowLatencyWriter = new LowLatencyHlsWriter(hlsDir, {
+        label: camera.name,
+        partDuration: config.lowLatency.partDuration,
+        segmentDuration: config.ffmpeg.hlsTime,
+        listSize: camera.hlsListSize || config.ffmpeg.hlsListSize,
+      });
+      ffmpegCmd.output(stream.lowLatencyWriter);
+    } else {
+      this._configureHlsOutput(ffmpegCmd, camera, output, hlsDir, hasAudio);
+      ffmpegCmd.output(path.join(hlsDir, this._getPlaylistFile(output)));
+      stream.lowLatencyWriter = null;
+    }
+
+    // The sub stream is the second input, written to the "sub" directory
+    let subOutput = null;
+    if (stream.camera.subRtspUrl) {
+      const subCamera = {
+        ...getSubStreamCamera(stream.camera),
+        ...(probe.sub ? probe.sub.settings : {}),
+      };
+      subOutput = this._getOutputFormat(
+        probe.sub ? probe.sub.result : null,
+        subCamera
+      );
+      console.log(
+        `[${camera.name}] Adding sub stream from: ${maskCredentials(
+          subCamera.rtspUrl
+        )}`
+      );
+      this._ensureHlsDirectory(cameraId, "sub");
+      const subDir = path.join(hlsDir, "sub");
+      ffmpegCmd
+        .input(subCamera.rtspUrl)
+        .inputOptions(this._getInputOptions(subCamera))
+        // Options after the second output() call apply to that output
+        .output(path.join(subDir, this._getPlaylistFile(subOutput)))
+        .addOption("-map", "1:v:0");
+      const subHasAudio =
+        this._hasAudioInput(probe.sub ? probe.sub.result : null) &&
+        this._configureAudio(ffmpegCmd, subCamera, 1, 1);
+      this._configureVideo(ffmpegCmd, subCamera, subOutput);
+      this._configureHlsOutput(
+        ffmpegCmd,
+        subCamera,
+        subOutput,
+        subDir,
+        subHasAudio
+      );
+    }
+
+    // WebRTC viewers get their own RTP outputs
+    const hadRtpFeed = Boolean(stream.rtpFeed);
+    const rtpFeed = this.getRtpFeed(cameraId);
+    if (rtpFeed) {
+      this._configureWebRtcOutput(
+        ffmpegCmd,
+        camera,
+        rtpFeed,
+        hlsDir,
+        probe.result
+      );
+    } else {
+      if (stream.camera.webrtc === true) {
+        console.warn(
+          `[${camera.name}] WebRTC needs H.264 input, not ${probe.result.video.codec} - viewers get HLS`
+        );
+      }
+      this._closeRtpFeed(stream);
+    }
+
+    // MSE viewers share the Low-Latency HLS output, as FFmpeg can only pipe
+    // one output, or get their own
+    const hadMseFeed = Boolean(stream.mseFeed);
+    const mseFeed = this.getMseFeed(cameraId);
+    if (mseFeed && stream.lowLatencyWriter) {
+      stream.lowLatencyWriter
+        .on("init", (data) => mseFeed.setInit(data))
+        .on("fragment", (data, fragment) =>
+          mseFeed.pushFragment(data, fragment)
+        );
+    } else if (mseFeed) {
+      const video = probe.result ? probe.result.video : null;
+      this._configureMseOutput(
+        ffmpegCmd,
+        camera,
+        mseFeed,
+        video ? video.codec : camera.videoDecoder || "h264"
+      );
+    } else {
+      if (stream.camera.mse === true) {
+        console.warn(
+          `[${camera.name}] MSE needs H.264 or H.265 input, not ${probe.result.video.codec} - viewers get HLS`
+        );
+      }
+      this._closeMseFeed(stream);
+    }
+
+    if (
+      hadRtpFeed !== Boolean(rtpFeed) ||
+      hadMseFeed !== Boolean(mseFeed) ||
+      JSON.stringify(stream.output) !== JSON.stringify(output) ||
+      JSON.stringify(stream.subOutput) !== JSON.stringify(subOutput)
+    ) {
+      stream.output = output;
+      stream.subOutput = subOutput;
+      this.emit("cameras"); // Clients pick players by video codec and transport
+    }
+
+    stream.ffmpegProcess = ffmpegCmd
       .on("start", (commandLine) => {
         console.log(`FFmpeg command for ${cameraId}: ${commandLine}`);
         stream.isStreaming = true;
@@ -464,9 +1570,30 @@ class StreamManager {
         // Initialize stream start time to suppress initial error noise
         stream._streamStartTime = Date.now();
         stream._h264ErrorLogged = false; // Reset error logging flag
+        stream.progress = null;
+        stream.input = null;
+        stream._stderrSection = null;
         this._updateStatus(cameraId, "streaming");
       })
       .on("stderr", (stderrLine) => {
+        // Progress lines look like "frame= 250 fps= 25 ... speed=1.00x",
+        // with "speed=N/A" until FFmpeg can tell
+        const progressMatch = stderrLine.match(
+          /^frame=\s*(\d+)\s+fps=\s*([\d.]+)(?:.*?speed=\s*([\d.]+)x)?/
+        );
+        if (progressMatch) {
+          stream.progress = {
+            frame: parseInt(progressMatch[1], 10),
+            fps: parseFloat(progressMatch[2]),
+            speed:
+              progressMatch[3] !== undefined
+                ? parseFloat(progressMatch[3])
+                : null,
+            time: Date.now(),
+          };
+          return;
+        }
+        this._parseStreamInfo(stream, stderrLine);
         // Log detected video codec (critical for debugging)
         const videoCodecMatch = stderrLine.match(/Video:\s*(\w+)/);
         if (videoCodecMatch) {
@@ -495,9 +1622,13 @@ class StreamManager {
         // Log connection errors
         if (stderrLine.match(/(Connection|timeout|refused|failed)/i)) {
           console.warn(`[${cameraId}] Connection issue: ${stderrLine.trim()}`);
+          stream.lastError = {
+            message: maskCredentials(stderrLine.trim()),
+            time: Date.now(),
+          };
         }
         // Log HLS segment creation
-        if (stderrLine.includes("Opening") && stderrLine.includes(".ts")) {
+        if (/Opening .*\.(ts|m4s)\b/.test(stderrLine)) {
           console.log(`[${cameraId}] Creating segment: ${stderrLine.trim()}`);
         }
         // Log H.265 decoding issues
@@ -515,6 +1646,9 @@ class StreamManager {
         // Logging them just creates noise since they happen constantly
       })
       .on("error", (err, stdout, stderr) => {
+        // Ignore processes killed by stopStream or replaced by a newer one
+        if (stream.ffmpegProcess !== ffmpegCmd) return;
+
         // Don't treat decoding errors as fatal - FFmpeg can recover
         const isDecodingError =
           err.message.includes("decode") ||
@@ -555,6 +1689,7 @@ class StreamManager {
         this._scheduleReconnect(cameraId);
       })
       .on("end", () => {
+        if (stream.ffmpegProcess !== ffmpegCmd) return;
         console.log(`FFmpeg process ended for ${cameraId}`);
         stream.isStreaming = false;
         stream.ffmpegProcess = null;
@@ -583,13 +1718,15 @@ class StreamManager {
 
     stream.reconnectTimer = setTimeout(() => {
       stream.reconnectTimer = null;
+      if (this.streams.get(cameraId) !== stream) return; // Camera was removed
       stream.reconnectAttempts++;
+      stream.restarts++;
       this._updateStatus(
         cameraId,
         "reconnecting",
         `Attempt ${stream.reconnectAttempts}`
       );
-      this._startFFmpeg(cameraId);
+      this._probeAndStart(cameraId, false);
     }, delay);
   }
 
@@ -606,20 +1743,26 @@ class StreamManager {
   }
 
   /**
-   * Update status and notify callback
+   * Update status and notify callback and "status" listeners
    */
   _updateStatus(cameraId, status, message = "") {
     const stream = this.streams.get(cameraId);
-    if (this.onStatusChange && stream) {
-      this.onStatusChange({
-        cameraId: cameraId,
-        cameraName: stream.camera.name,
-        status,
-        message,
-        isStreaming: stream.isStreaming,
-        reconnectAttempts: stream.reconnectAttempts,
-      });
+    if (!stream) return;
+
+    stream.status = status;
+    stream.statusMessage = message;
+    stream.statusTime = Date.now();
+    if (status === "error" || status === "stalled") {
+      stream.lastError = {
+        message: maskCredentials(message),
+        time: stream.statusTime,
+      };
+    }
+    const report = this._getStreamStatus(cameraId, stream);
+    if (this.onStatusChange) {
+      this.onStatusChange(report);
     }
+    this.emit("status", report);
   }
 }
 
@@ -0,0 +1,83 @@
+const config = require("./config");
+
+/**
+ * Restarts FFmpeg processes that keep running but stop writing segments or
+ * reporting progress, e.g. when the RTSP connection stalls without closing
+ */
+class StreamWatchdog {
+  constructor(streamManager, segmentWatcher) {
+    this.streamManager = streamManager;
+    this.checkTimer = null;
+    this.lastSegmentTimes = new Map(); // Map of cameraId -> time the last segment was seen
+
+    segmentWatcher.on("segment", (segment) => {
+      this.lastSegmentTimes.set(segment.cameraId, Date.now());
+    });
+  }
+
+  /**
+   * Start checking running streams
+   */
+  start() {
+    if (!config.watchdog.enabled || this.checkTimer) return;
+    this.checkTimer = setInterval(
+      () => this._check(),
+      config.watchdog.checkInterval
+    );
+  }
+
+  /**
+   * Stop checking running streams
+   */
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+  }
+
+  /**
+   * Restart every running stream whose output stalled
+   */
+  _check() {
+    const now = Date.now();
+    this.streamManager.streams.forEach((stream, cameraId) => {
+      if (!stream.isStreaming || !stream.ffmpegProcess) return;
+
+      const reason = this._getStallReason(cameraId, stream, now);
+      if (reason) {
+        this.streamManager.restartStalledStream(cameraId, reason);
+      }
+    });
+  }
+
+  /**
+   * Describe why a running stream counts as stalled, or null if it doesn't
+   */
+  _getStallReason(cameraId, stream, now) {
+    // Output of a previous process doesn't count for the current one
+    const startTime = stream._streamStartTime || 0;
+
+    const lastProgress = Math.max(
+      startTime,
+      stream.progress ? stream.progress.time : 0
+    );
+    const progressAge = Math.round((now - lastProgress) / 1000);
+    if (progressAge >= config.watchdog.progressTimeout) {
+      return `No FFmpeg progress for ${progressAge}s`;
+    }
+
+    const lastSegment = Math.max(
+      startTime,
+      this.lastSegmentTimes.get(cameraId) || 0
+    );
+    const segmentAge = Math.round((now - lastSegment) / 1000);
+    if (segmentAge >= config.watchdog.segmentTimeout) {
+      return `No new HLS segments for ${segmentAge}s`;
+    }
+
+    return null;
+  }
+}
+
+module.exports = StreamWatchdog;
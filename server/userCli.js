@@ -0,0 +1,91 @@
+const UserStore = require("./userStore");
+
+const USAGE = `Usage: npm run user -- <command> [arguments]
+
+Commands:
+  list                              List user accounts
+  add <username> <password> [role] [cameras]
+                                    Create a user account
+                                    role: viewer (default), operator or admin
+                                    cameras: comma separated IDs or * (default)
+  passwd <username> <password>      Change a user's password
+  role <username> <role>            Change a user's role
+  cameras <username> <cameras>      Change the cameras a user may access
+  remove <username>                 Delete a user account
+  token <username> [name]           Create an API token for scripts
+  revoke-token <username> <id>      Revoke an API token`;
+
+/**
+ * Manage user accounts from the command line
+ */
+async function main(args) {
+  const [command, ...params] = args;
+  const userStore = new UserStore();
+
+  switch (command) {
+    case "list":
+      userStore.listUsers().forEach((user) => {
+        console.log(
+          `${user.username} - ${user.role}, cameras: ${user.cameras.join(
+            ","
+          )} (${user.tokens.length} API tokens)`
+        );
+        user.tokens.forEach((token) => {
+          console.log(`  - ${token.id}: ${token.name} (${token.createdAt})`);
+        });
+      });
+      break;
+
+    case "add":
+      await userStore.addUser(
+        params[0],
+        params[1],
+        params[2] || "viewer",
+        params[3] || "*"
+      );
+      console.log(`Created user ${params[0]}`);
+      break;
+
+    case "passwd":
+      await userStore.setPassword(params[0], params[1]);
+      console.log(`Changed password of ${params[0]}`);
+      break;
+
+    case "role":
+      userStore.setRole(params[0], params[1]);
+      console.log(`Changed role of ${params[0]} to ${params[1]}`);
+      break;
+
+    case "cameras":
+      userStore.setCameras(params[0], params[1] || "*");
+      console.log(`Changed cameras of ${params[0]} to ${params[1] || "*"}`);
+      break;
+
+    case "remove":
+      userStore.removeUser(params[0]);
+      console.log(`Removed user ${params[0]}`);
+      break;
+
+    case "token": {
+      const token = userStore.createToken(params[0], params[1]);
+      console.log(`Created token ${token.id} for ${params[0]}:`);
+      console.log(token.token);
+      console.log("Store it now - it can't be shown again.");
+      break;
+    }
+
+    case "revoke-token":
+      userStore.revokeToken(params[0], params[1]);
+      console.log(`Revoked token ${params[1]}`);
+      break;
+
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(`Error: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,300 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const config = require("./config");
+const { ROLES, getRole } = require("./permissions");
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+/**
+ * File-backed user accounts with scrypt password hashes and API tokens
+ */
+class UserStore {
+  constructor(filePath = config.auth.usersFile) {
+    this.filePath = path.resolve(filePath);
+    this.users = [];
+    this.loadedMtime = 0;
+    this.load();
+  }
+
+  /**
+   * Load users from the users file
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      this.users = [];
+      return;
+    }
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      this.users = Array.isArray(data.users) ? data.users : [];
+      this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (e) {
+      throw new Error(
+        `Failed to read users file ${this.filePath}: ${e.message}`
+      );
+    }
+  }
+
+  /**
+   * Save users to the users file (readable by the owner only)
+   */
+  save() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(
+      this.filePath,
+      JSON.stringify({ users: this.users }, null, 2) + "\n",
+      { mode: 0o600 }
+    );
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Reload users if the file was changed by another process (e.g. the CLI)
+   */
+  _reloadIfChanged() {
+    try {
+      if (
+        fs.existsSync(this.filePath) &&
+        fs.statSync(this.filePath).mtimeMs !== this.loadedMtime
+      ) {
+        this.load();
+      }
+    } catch (err) {
+      console.warn("Warning: Could not reload users file:", err.message);
+    }
+  }
+
+  /**
+   * Check whether any user account exists
+   */
+  hasUsers() {
+    return this.users.length > 0;
+  }
+
+  /**
+   * List users without secrets
+   */
+  listUsers() {
+    return this.users.map((user) => this.toPublicUser(user));
+  }
+
+  /**
+   * Get a user by username
+   */
+  getUser(username) {
+    this._reloadIfChanged();
+    return this.users.find((user) => user.username === username) || null;
+  }
+
+  /**
+   * Create a new user account
+   * Cameras is a list of camera IDs the user may access ("*" = all cameras)
+   */
+  async addUser(username, password, role = "viewer", cameras = ["*"]) {
+    if (!username || !/^[\w.@-]+$/.test(username)) {
+      throw new Error(
+        "Username may only contain letters, numbers, '.', '_', '@' and '-'"
+      );
+    }
+    if (this.getUser(username)) {
+      throw new Error(`User ${username} already exists`);
+    }
+    this._checkPassword(password);
+    this._checkRole(role);
+
+    const user = {
+      username: username,
+      passwordHash: await this._hashPassword(password),
+      role: role,
+      cameras: this._normalizeCameras(cameras),
+      tokens: [],
+      createdAt: new Date().toISOString(),
+    };
+    this.users.push(user);
+    this.save();
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Change a user's password
+   */
+  async setPassword(username, password) {
+    const user = this._requireUser(username);
+    this._checkPassword(password);
+    user.passwordHash = await this._hashPassword(password);
+    this.save();
+  }
+
+  /**
+   * Change a user's role
+   */
+  setRole(username, role) {
+    const user = this._requireUser(username);
+    this._checkRole(role);
+    user.role = role;
+    this.save();
+  }
+
+  /**
+   * Change the cameras a user may access ("*" = all cameras)
+   */
+  setCameras(username, cameras) {
+    const user = this._requireUser(username);
+    user.cameras = this._normalizeCameras(cameras);
+    this.save();
+  }
+
+  /**
+   * Delete a user account
+   */
+  removeUser(username) {
+    this._requireUser(username);
+    this.users = this.users.filter((user) => user.username !== username);
+    this.save();
+  }
+
+  /**
+   * Verify a username and password, resolving with the user or null
+   */
+  async verifyPassword(username, password) {
+    const user = this.getUser(username);
+    if (!user || typeof password !== "string") {
+      // Hash anyway so unknown users take as long as wrong passwords
+      await this._hashPassword(password || "");
+      return null;
+    }
+
+    const [, salt, expected] = user.passwordHash.split("$");
+    const actual = await scrypt(password, Buffer.from(salt, "hex"), KEY_LENGTH);
+    return crypto.timingSafeEqual(actual, Buffer.from(expected, "hex"))
+      ? user
+      : null;
+  }
+
+  /**
+   * Create an API token for a user
+   * Only a hash is stored - the token itself is returned once
+   */
+  createToken(username, name = "API token") {
+    const user = this._requireUser(username);
+    const token = `rtv_${crypto.randomBytes(24).toString("hex")}`;
+    const entry = {
+      id: crypto.randomBytes(6).toString("hex"),
+      name: name,
+      hash: this._hashToken(token),
+      createdAt: new Date().toISOString(),
+    };
+    user.tokens = user.tokens || [];
+    user.tokens.push(entry);
+    this.save();
+    return { id: entry.id, name: entry.name, token: token };
+  }
+
+  /**
+   * Revoke an API token of a user
+   */
+  revokeToken(username, tokenId) {
+    const user = this._requireUser(username);
+    const count = (user.tokens || []).length;
+    user.tokens = (user.tokens || []).filter((token) => token.id !== tokenId);
+    if (user.tokens.length === count) {
+      throw new Error(`Token ${tokenId} not found`);
+    }
+    this.save();
+  }
+
+  /**
+   * Find the user owning an API token
+   */
+  verifyToken(token) {
+    if (typeof token !== "string" || !token.startsWith("rtv_")) {
+      return null;
+    }
+    this._reloadIfChanged();
+    const hash = this._hashToken(token);
+    return (
+      this.users.find((user) =>
+        (user.tokens || []).some((entry) => entry.hash === hash)
+      ) || null
+    );
+  }
+
+  /**
+   * Strip secrets from a user record
+   */
+  toPublicUser(user) {
+    return {
+      username: user.username,
+      role: getRole(user),
+      cameras: user.cameras || ["*"],
+      tokens: (user.tokens || []).map((token) => ({
+        id: token.id,
+        name: token.name,
+        createdAt: token.createdAt,
+      })),
+      createdAt: user.createdAt,
+    };
+  }
+
+  /**
+   * Get a user or throw if it doesn't exist
+   */
+  _requireUser(username) {
+    const user = this.getUser(username);
+    if (!user) {
+      throw new Error(`User ${username} not found`);
+    }
+    return user;
+  }
+
+  /**
+   * Reject unknown roles
+   */
+  _checkRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(", ")}`);
+    }
+  }
+
+  /**
+   * Normalize a camera list given as array or comma separated string
+   */
+  _normalizeCameras(cameras) {
+    const list = Array.isArray(cameras) ? cameras : String(cameras).split(",");
+    const normalized = list.map((id) => id.trim()).filter(Boolean);
+    return normalized.length > 0 ? normalized : ["*"];
+  }
+
+  /**
+   * Enforce minimum password requirements
+   */
+  _checkPassword(password) {
+    if (typeof password !== "string" || password.length < 8) {
+      throw new Error("Password must be at least 8 characters long");
+    }
+  }
+
+  /**
+   * Hash a password as scrypt$<salt>$<hash>
+   */
+  async _hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+  }
+
+  /**
+   * Hash an API token for storage
+   */
+  _hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+}
+
+module.exports = UserStore;
@@ -0,0 +1,119 @@
+const config = require("./config");
+
+/**
+ * Tracks viewers of on-demand cameras from their playlist and segment
+ * requests and open connections, starting idle streams for new viewers and
+ * stopping streams nobody has requested for a while
+ */
+class ViewerTracker {
+  constructor(streamManager) {
+    this.streamManager = streamManager;
+    this.checkTimer = null;
+    this.lastRequestTimes = new Map(); // Map of cameraId -> time of the last playlist or segment request
+    this.openViewers = new Map(); // Map of cameraId -> number of viewers with an open connection
+
+    streamManager.on("cameras", () => this._pruneCameras());
+  }
+
+  /**
+   * Start checking for idle streams
+   */
+  start() {
+    if (this.checkTimer) return;
+    this.checkTimer = setInterval(
+      () => this._check(),
+      config.onDemand.checkInterval
+    );
+  }
+
+  /**
+   * Stop checking for idle streams
+   */
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+  }
+
+  /**
+   * Record a playlist or segment request for a camera, starting its stream
+   * if it is waiting for a viewer
+   */
+  touch(cameraId) {
+    if (!this.streamManager.streams.has(cameraId)) return;
+    this.lastRequestTimes.set(cameraId, Date.now());
+    this.streamManager.startOnDemand(cameraId);
+  }
+
+  /**
+   * Record a viewer holding a connection open (e.g. WebRTC), which keeps an
+   * on-demand stream running until the returned function is called
+   */
+  addViewer(cameraId) {
+    this.touch(cameraId);
+    this.openViewers.set(cameraId, (this.openViewers.get(cameraId) || 0) + 1);
+
+    let removed = false;
+    return () => {
+      if (removed) return;
+      removed = true;
+      const count = (this.openViewers.get(cameraId) || 1) - 1;
+      if (count > 0) {
+        this.openViewers.set(cameraId, count);
+      } else {
+        this.openViewers.delete(cameraId);
+      }
+      // The idle timeout starts when the last viewer leaves
+      this.lastRequestTimes.set(cameraId, Date.now());
+    };
+  }
+
+  /**
+   * Stop every on-demand stream without requests for the idle timeout
+   */
+  _check() {
+    const now = Date.now();
+    const idleTimeout = config.onDemand.idleTimeout * 1000;
+    this.streamManager.streams.forEach((stream, cameraId) => {
+      if (
+        !this.streamManager.isRunning(cameraId) ||
+        !this.streamManager.isOnDemand(stream.camera) ||
+        this.openViewers.has(cameraId)
+      ) {
+        return;
+      }
+
+      // Streams started without a viewer (e.g. through the API) get the
+      // full timeout as well
+      const lastActivity = Math.max(
+        this.lastRequestTimes.get(cameraId) || 0,
+        stream.startedAt || 0
+      );
+      if (now - lastActivity >= idleTimeout) {
+        console.log(
+          `[${stream.camera.name}] No viewers for ${config.onDemand.idleTimeout}s, stopping stream`
+        );
+        this.streamManager.idleStream(
+          cameraId,
+          `Stopped after ${config.onDemand.idleTimeout}s without viewers`
+        );
+      }
+    });
+  }
+
+  /**
+   * Forget cameras that were removed
+   */
+  _pruneCameras() {
+    [this.lastRequestTimes, this.openViewers].forEach((map) => {
+      Array.from(map.keys()).forEach((cameraId) => {
+        if (!this.streamManager.streams.has(cameraId)) {
+          map.delete(cameraId);
+        }
+      });
+    });
+  }
+}
+
+module.exports = ViewerTracker;
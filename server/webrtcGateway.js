@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const {
+  RTCPeerConnection,
+  MediaStreamTrack,
+  useH264,
+  useOPUS,
+} = require("werift");
+const config = require("./config");
+
+// Milliseconds to wait for ICE candidates before answering - answers carry
+// all candidates, as sessions don't take trickled ones
+const ICE_GATHERING_TIMEOUT = 3000;
+
+// Milliseconds a disconnected viewer has to reconnect (e.g. after switching
+// networks) before its session ends
+const DISCONNECTED_TIMEOUT = 10000;
+
+/**
+ * Wait until a peer connection gathered its ICE candidates, or the timeout
+ */
+function waitForIceGathering(pc) {
+  if (pc.iceGatheringState === "complete") return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ICE_GATHERING_TIMEOUT);
+    pc.iceGatheringStateChange.subscribe((state) => {
+      if (state === "complete") {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Serves WebRTC viewers over WHEP: a viewer posts an SDP offer, gets an
+ * answer and a session to delete when leaving, and receives the RTP packets
+ * of the camera's feed for as long as the session lasts
+ */
+class WebRtcGateway {
+  constructor(streamManager, viewerTracker) {
+    this.streamManager = streamManager;
+    this.viewerTracker = viewerTracker;
+    this.sessions = new Map(); // Map of sessionId -> { cameraId, close }
+  }
+
+  /**
+   * Whether a camera can be watched over WebRTC
+   */
+  isAvailable(cameraId) {
+    return Boolean(this.streamManager.getRtpFeed(cameraId));
+  }
+
+  /**
+   * Answer a viewer's SDP offer for a camera
+   * Resolves with { sessionId, answer }, rejects when the offer can't be
+   * answered (e.g. it has no H.264 video), or with an error with status 503
+   * when the camera's feed can't receive RTP
+   */
+  async createSession(cameraId, offer) {
+    const feed = this.streamManager.getRtpFeed(cameraId);
+    const camera = this.streamManager.getCamera(cameraId);
+    try {
+      await feed.ready;
+    } catch (err) {
+      const error = new Error(`WebRTC feed unavailable: ${err.message}`);
+      error.status = 503;
+      throw error;
+    }
+    const pc = new RTCPeerConnection({
+      codecs: { video: [useH264()], audio: [useOPUS()] },
+      iceServers: config.webrtc.iceServers,
+    });
+
+    // One track per media section the viewer offers to receive
+    const tracks = [];
+    try {
+      await pc.setRemoteDescription({ type: "offer", sdp: offer });
+      pc.getTransceivers().forEach((transceiver) => {
+        if (transceiver.codecs.length === 0) return; // No codec in common
+        const track = new MediaStreamTrack({ kind: transceiver.kind });
+        pc.addTrack(track);
+        tracks.push(track);
+      });
+      if (!tracks.some((track) => track.kind === "video")) {
+        throw new Error("Offer has no H.264 video to receive");
+      }
+      await pc.setLocalDescription(await pc.createAnswer());
+      await waitForIceGathering(pc);
+    } catch (err) {
+      pc.close();
+      throw err;
+    }
+
+    const sessionId = crypto.randomBytes(16).toString("hex");
+    const removeViewer = this.viewerTracker.addViewer(cameraId);
+    let disconnectTimer = null;
+    const close = () => {
+      if (!this.sessions.has(sessionId)) return;
+      clearTimeout(disconnectTimer);
+      this.sessions.delete(sessionId);
+      tracks.forEach((track) => feed.removeTrack(track));
+      feed.removeListener("close", close);
+      removeViewer();
+      pc.close();
+      console.log(`[${camera.name}] WebRTC viewer disconnected`);
+    };
+    pc.connectionStateChange.subscribe((state) => {
+      clearTimeout(disconnectTimer);
+      if (state === "failed" || state === "closed") {
+        close();
+      } else if (state === "disconnected") {
+        disconnectTimer = setTimeout(close, DISCONNECTED_TIMEOUT);
+      }
+    });
+    feed.on("close", close);
+    tracks.forEach((track) => feed.addTrack(track));
+    this.sessions.set(sessionId, { cameraId, close });
+    console.log(`[${camera.name}] WebRTC viewer connected`);
+
+    return { sessionId, answer: pc.localDescription.sdp };
+  }
+
+  /**
+   * End a viewer's session
+   * Returns false if the camera has no such session
+   */
+  closeSession(cameraId, sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.cameraId !== cameraId) return false;
+    session.close();
+    return true;
+  }
+
+  /**
+   * End all sessions
+   */
+  closeAll() {
+    this.sessions.forEach((session) => session.close());
+  }
+}
+
+module.exports = WebRtcGateway;
@@ -0,0 +1,83 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const AuthManager = require("../server/authManager");
+const ShareLinkManager = require("../server/shareLinkManager");
+const UserStore = require("../server/userStore");
+
+/**
+ * Log in and get a request carrying the session cookie
+ */
+async function login(authManager, username, password) {
+  let cookie = null;
+  const res = {
+    cookie: (name, value) => {
+      cookie = `${name}=${value}`;
+    },
+  };
+  const user = await authManager.login({}, res, username, password);
+  assert.ok(user, "logged in");
+  return { headers: { cookie: cookie } };
+}
+
+/**
+ * Create an auth manager with a new users file holding one viewer
+ */
+async function createAuthManager(usersFile) {
+  const userStore = new UserStore(
+    path.join(process.env.HLS_OUTPUT_DIR, usersFile)
+  );
+  await userStore.addUser("alice", "password1");
+  return new AuthManager(userStore, null);
+}
+
+test("sessions end when the password changes in another process", async () => {
+  const authManager = await createAuthManager("users-passwd.json");
+  const req = await login(authManager, "alice", "password1");
+  assert.strictEqual(authManager.authenticate(req).username, "alice");
+
+  // Like `npm run user -- passwd`, which has its own UserStore
+  const cli = new UserStore(authManager.userStore.filePath);
+  await cli.setPassword("alice", "password2");
+
+  assert.strictEqual(authManager.authenticate(req), null);
+  assert.strictEqual(authManager.sessions.size, 0);
+  const newReq = await login(authManager, "alice", "password2");
+  assert.strictEqual(authManager.authenticate(newReq).username, "alice");
+});
+
+test("sessions end when the user is removed in another process", async () => {
+  const authManager = await createAuthManager("users-remove.json");
+  const req = await login(authManager, "alice", "password1");
+
+  new UserStore(authManager.userStore.filePath).removeUser("alice");
+
+  assert.strictEqual(authManager.authenticate(req), null);
+  assert.strictEqual(authManager.sessions.size, 0);
+});
+
+test("share tokens open the camera's HLS files at any depth", () => {
+  const shareLinkManager = new ShareLinkManager();
+  const authManager = new AuthManager(null, shareLinkManager);
+  const share = shareLinkManager.createToken("cam1", Date.now() + 60000);
+  const authenticate = (reqPath) =>
+    authManager.authenticateShare({ path: reqPath, query: { share } });
+
+  [
+    "/hls/cam1/segment_001.ts",
+    "/hls/cam1/sub/segment_001.ts",
+    "/hls/cam1/720p/playlist.m3u8",
+    "/api/stream/cam1/sub/playlist.m3u8",
+  ].forEach((reqPath) =>
+    assert.deepStrictEqual(authenticate(reqPath).cameras, ["cam1"], reqPath)
+  );
+  [
+    "/hls/cam2/segment_001.ts",
+    "/hls/cam1/../cam2/segment_001.ts",
+    "/hls/cam1/%2e%2e/cam2/segment_001.ts",
+    "/hls/cam1/",
+  ].forEach((reqPath) =>
+    assert.strictEqual(authenticate(reqPath), null, reqPath)
+  );
+});
@@ -0,0 +1,91 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { readCamerasFile, writeCamerasFile } = require("../server/cameraFile");
+
+const YAML_FILE = `# Cameras at home
+cameras:
+  # Front door
+  - id: front # main entrance
+    name: Front
+    rtspUrl: rtsp://127.0.0.1:554/front
+  # Back yard, night vision
+  - id: back
+    name: Back
+    rtspUrl: rtsp://127.0.0.1:554/back # sub stream is too small
+    onDemand: true
+`;
+
+function tempFile(name) {
+  return path.join(process.env.HLS_OUTPUT_DIR, name);
+}
+
+test("writing a YAML file keeps its comments", () => {
+  const filePath = tempFile("cameras-comments.yaml");
+  fs.writeFileSync(filePath, YAML_FILE);
+
+  const cameras = readCamerasFile(filePath);
+  cameras[1].name = "Garden";
+  delete cameras[1].onDemand;
+  cameras.push({
+    id: "garage",
+    name: "Garage",
+    rtspUrl: "rtsp://127.0.0.1:554/garage",
+  });
+  writeCamerasFile(filePath, cameras);
+
+  assert.strictEqual(
+    fs.readFileSync(filePath, "utf8"),
+    `# Cameras at home
+cameras:
+  # Front door
+  - id: front # main entrance
+    name: Front
+    rtspUrl: rtsp://127.0.0.1:554/front
+  # Back yard, night vision
+  - id: back
+    name: Garden
+    rtspUrl: rtsp://127.0.0.1:554/back # sub stream is too small
+  - id: garage
+    name: Garage
+    rtspUrl: rtsp://127.0.0.1:554/garage
+`
+  );
+  assert.deepStrictEqual(readCamerasFile(filePath), cameras);
+});
+
+test("writing a YAML file drops removed cameras and keeps a plain list", () => {
+  const filePath = tempFile("cameras-list.yml");
+  fs.writeFileSync(
+    filePath,
+    "# Just a list\n- id: a\n  name: A\n  rtspUrl: rtsp://a\n- id: b\n  name: B\n  rtspUrl: rtsp://b\n"
+  );
+
+  writeCamerasFile(filePath, [{ id: "b", name: "B", rtspUrl: "rtsp://b" }]);
+  assert.strictEqual(
+    fs.readFileSync(filePath, "utf8"),
+    "# Just a list\n- id: b\n  name: B\n  rtspUrl: rtsp://b\n"
+  );
+});
+
+test("writes new and broken YAML files and JSON files from scratch", () => {
+  const cameras = [{ id: "a", name: "A", rtspUrl: "rtsp://a" }];
+  const newFile = tempFile("cameras-new.yaml");
+  writeCamerasFile(newFile, cameras);
+  assert.deepStrictEqual(readCamerasFile(newFile), cameras);
+
+  const brokenFile = tempFile("cameras-broken.yaml");
+  fs.writeFileSync(brokenFile, "cameras: [\n");
+  writeCamerasFile(brokenFile, cameras);
+  assert.deepStrictEqual(readCamerasFile(brokenFile), cameras);
+
+  const jsonFile = tempFile("cameras.json");
+  writeCamerasFile(jsonFile, cameras);
+  assert.strictEqual(
+    fs.readFileSync(jsonFile, "utf8"),
+    JSON.stringify(cameras, null, 2) + "\n"
+  );
+  assert.strictEqual(fs.statSync(jsonFile).mode & 0o777, 0o600);
+});
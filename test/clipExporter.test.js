@@ -0,0 +1,131 @@
+require("./setup");
+const { test, mock } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const ffmpeg = require("fluent-ffmpeg");
+const ClipExporter = require("../server/clipExporter");
+
+const START = Date.parse("2024-05-01T12:00:00.000Z");
+
+/**
+ * Create an exporter over recorded and live segments ({ path, startTime,
+ * duration }), recorded ones being filtered like the recording manager does
+ */
+function createExporter(recorded, live) {
+  const recordingManager = {
+    listSegments: (cameraId, from, to) =>
+      recorded.filter(
+        (segment) =>
+          segment.startTime < to &&
+          segment.startTime + segment.duration * 1000 > from
+      ),
+  };
+  const segmentWatcher = { listLiveSegments: () => live };
+  return new ClipExporter(recordingManager, segmentWatcher);
+}
+
+/**
+ * Write 2s segment files starting at the given offsets from START
+ */
+function writeSegments(name, offsets) {
+  const dir = fs.mkdtempSync(path.join(process.env.HLS_OUTPUT_DIR, name));
+  return offsets.map((offset) => {
+    const segmentPath = path.join(dir, `segment_${offset}.ts`);
+    fs.writeFileSync(segmentPath, "");
+    return { path: segmentPath, startTime: START + offset, duration: 2 };
+  });
+}
+
+/**
+ * Export a clip with FFmpeg runs failing as given, returning the arguments
+ * of every run and the concat list
+ */
+async function exportClip(exporter, from, to, failures = 0) {
+  const runs = [];
+  let list = null;
+  const run = mock.method(ffmpeg.prototype, "run", function () {
+    const args = this._getArguments();
+    runs.push(args);
+    list = fs.readFileSync(this._inputs[0].source, "utf8");
+    process.nextTick(() =>
+      runs.length <= failures
+        ? this.emit("error", new Error("Remux failed"))
+        : this.emit("end")
+    );
+    return this;
+  });
+  try {
+    const outputPath = await exporter.exportClip("cam1", from, to);
+    fs.rmSync(path.dirname(outputPath), { recursive: true, force: true });
+  } finally {
+    run.mock.restore();
+  }
+  return { runs, list };
+}
+
+const option = (args, name) => args[args.indexOf(name) + 1];
+
+test("findSegments prefers recordings over the live window", () => {
+  const recorded = writeSegments("recorded-", [0, 2000]);
+  const live = writeSegments("live-", [0, 2000, 4000]);
+  const exporter = createExporter(recorded, live);
+
+  assert.deepStrictEqual(
+    exporter.findSegments("cam1", START + 1000, START + 3000),
+    recorded
+  );
+
+  // Live segments overlapping the range, if their files still exist
+  fs.unlinkSync(live[2].path);
+  assert.deepStrictEqual(
+    exporter.findSegments("cam1", START + 5000, START + 7000),
+    []
+  );
+  assert.deepStrictEqual(
+    exporter
+      .findSegments("cam1", START + 3000, START + 7000)
+      .map((segment) => segment.startTime - START),
+    [2000]
+  );
+});
+
+test("exportClip trims the segments to the requested range", async () => {
+  const segments = writeSegments("range-", [0, 2000, 4000]);
+  const exporter = createExporter(segments, []);
+
+  const { runs, list } = await exportClip(exporter, START + 1500, START + 4500);
+  assert.strictEqual(runs.length, 1);
+  assert.strictEqual(option(runs[0], "-ss"), "1.500");
+  assert.strictEqual(option(runs[0], "-t"), "3.000");
+  assert.strictEqual(option(runs[0], "-c"), "copy");
+  assert.deepStrictEqual(
+    list.split("\n"),
+    segments.map((segment) => `file '${segment.path}'`)
+  );
+
+  // A range starting before the footage starts at its first segment
+  const early = await exportClip(exporter, START - 5000, START + 3000);
+  assert.strictEqual(option(early.runs[0], "-ss"), "0.000");
+  assert.strictEqual(option(early.runs[0], "-t"), "3.000");
+});
+
+test("exportClip re-encodes when remuxing fails", async () => {
+  const exporter = createExporter(writeSegments("reencode-", [0]), []);
+  const warn = mock.method(console, "warn", () => {});
+  try {
+    const { runs } = await exportClip(exporter, START, START + 2000, 1);
+    assert.strictEqual(runs.length, 2);
+    assert.ok(!runs[1].includes("copy"));
+    assert.strictEqual(option(runs[1], "-pix_fmt"), "yuv420p");
+  } finally {
+    warn.mock.restore();
+  }
+});
+
+test("exportClip rejects a range without footage", async () => {
+  const exporter = createExporter([], []);
+  await assert.rejects(exporter.exportClip("cam1", START, START + 2000), {
+    message: "No footage found in the requested time range",
+  });
+});
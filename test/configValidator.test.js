@@ -0,0 +1,47 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { validateCameras } = require("../server/configValidator");
+
+const camera = {
+  id: "cam1",
+  name: "Camera 1",
+  rtspUrl: "rtsp://127.0.0.1:554/stream",
+};
+
+test("audioMode manual requires audioStreamIndex", () => {
+  const { errors } = validateCameras([{ ...camera, audioMode: "manual" }]);
+  assert.deepStrictEqual(errors, [
+    {
+      cameraId: "cam1",
+      path: "cameras[0].audioStreamIndex",
+      message: 'is required with audioMode "manual"',
+    },
+  ]);
+});
+
+test("audioMode manual with audioStreamIndex is valid", () => {
+  const { errors, warnings } = validateCameras([
+    { ...camera, audioMode: "manual", audioStreamIndex: 1 },
+  ]);
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, []);
+});
+
+test("DEFAULT_AUDIO_MODE manual requires audioStreamIndex", () => {
+  const ffmpegConfig = { defaultAudioMode: "manual" };
+  const { errors } = validateCameras([camera], ffmpegConfig);
+  assert.deepStrictEqual(errors, [
+    {
+      cameraId: "cam1",
+      path: "cameras[0].audioStreamIndex",
+      message: 'is required with audioMode "manual" (from DEFAULT_AUDIO_MODE)',
+    },
+  ]);
+
+  // A camera setting its own mode doesn't need an index
+  assert.deepStrictEqual(
+    validateCameras([{ ...camera, audioMode: "auto" }], ffmpegConfig).errors,
+    []
+  );
+});
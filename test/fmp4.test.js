@@ -0,0 +1,170 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  readBox,
+  parseMovie,
+  parseFragment,
+  getCodecs,
+  FragmentReader,
+} = require("../server/fmp4");
+
+// Captured from FFmpeg: 2s of 160x90 H.264 at 10 fps with a keyframe every
+// 5 frames and an AAC track, written with the Low-Latency HLS movflags and
+// -frag_duration 250000
+const FIXTURE = fs.readFileSync(
+  path.join(__dirname, "fixtures", "fragmented.mp4")
+);
+const KEYFRAME_PATTERN = [true, false, false, true, false, true, false, true];
+
+/**
+ * Read the fixture in chunks of chunkSize bytes
+ */
+function readFixture(chunkSize = FIXTURE.length) {
+  const inits = [];
+  const fragments = [];
+  const reader = new FragmentReader(
+    (data, tracks) => inits.push({ data, tracks }),
+    (data, fragment) => fragments.push({ data, fragment })
+  );
+  for (let offset = 0; offset < FIXTURE.length; offset += chunkSize) {
+    reader.push(FIXTURE.subarray(offset, offset + chunkSize));
+  }
+  return { reader, inits, fragments };
+}
+
+/**
+ * List the top-level boxes of a buffer
+ */
+function topLevelBoxes(buffer) {
+  const boxes = [];
+  let offset = 0;
+  let box;
+  while ((box = readBox(buffer, offset))) {
+    boxes.push(box);
+    offset += box.size;
+  }
+  return boxes;
+}
+
+test("FragmentReader splits the init segment and fragments", () => {
+  const { inits, fragments } = readFixture();
+
+  assert.strictEqual(inits.length, 1);
+  assert.deepStrictEqual(
+    topLevelBoxes(inits[0].data).map((box) => box.type),
+    ["ftyp", "moov"]
+  );
+  assert.strictEqual(fragments.length, 9);
+  fragments.forEach(({ data }) => {
+    assert.deepStrictEqual(
+      topLevelBoxes(data).map((box) => box.type),
+      ["moof", "mdat"]
+    );
+  });
+
+  // Everything but the trailing "mfra" index FFmpeg writes at the end
+  const total =
+    inits[0].data.length +
+    fragments.reduce((sum, { data }) => sum + data.length, 0);
+  const mfra = readBox(FIXTURE, total);
+  assert.strictEqual(mfra.type, "mfra");
+  assert.strictEqual(total + mfra.size, FIXTURE.length);
+});
+
+test("FragmentReader gives the same result for data in small chunks", () => {
+  const whole = readFixture();
+  const chunked = readFixture(97);
+
+  assert.ok(chunked.inits[0].data.equals(whole.inits[0].data));
+  assert.deepStrictEqual(
+    chunked.fragments.map(({ data }) => data.toString("hex")),
+    whole.fragments.map(({ data }) => data.toString("hex"))
+  );
+  assert.strictEqual(chunked.reader.buffer.length, 0);
+});
+
+test("parseMovie reads the video and audio tracks", () => {
+  const { inits } = readFixture();
+  const tracks = [...inits[0].tracks.values()];
+
+  assert.deepStrictEqual(
+    tracks.map((track) => [track.handler, track.timescale]),
+    [
+      ["vide", 10240],
+      ["soun", 8000],
+    ]
+  );
+});
+
+test("parseFragment reads duration and keyframes of the video track", () => {
+  const { inits, fragments } = readFixture();
+  const tracks = inits[0].tracks;
+
+  const parsed = fragments.map(({ data }) =>
+    parseFragment(data, readBox(data, 0), tracks)
+  );
+  assert.deepStrictEqual(
+    parsed.map((fragment) => fragment.independent),
+    [...KEYFRAME_PATTERN, false]
+  );
+  // 20 frames at 10 fps, the first fragment starting 0.028s early
+  const duration = parsed.reduce((sum, fragment) => sum + fragment.duration, 0);
+  assert.ok(Math.abs(duration - 2.128) < 0.001, `duration ${duration}`);
+  // FragmentReader passes the same result along with each fragment
+  assert.deepStrictEqual(
+    parsed,
+    fragments.map(({ fragment }) => fragment)
+  );
+});
+
+test("getCodecs builds MediaSource codec strings", () => {
+  const { inits } = readFixture();
+  const moov = topLevelBoxes(inits[0].data).find((box) => box.type === "moov");
+
+  assert.deepStrictEqual(getCodecs(inits[0].data, moov), [
+    "avc1.42c00a",
+    "mp4a.40.2",
+  ]);
+});
+
+test("parseMovie and parseFragment handle a fragment without tracks", () => {
+  const { fragments } = readFixture();
+  const moof = readBox(fragments[0].data, 0);
+
+  assert.deepStrictEqual(parseFragment(fragments[0].data, moof, new Map()), {
+    duration: 0,
+    independent: false,
+  });
+  assert.strictEqual(parseMovie(fragments[0].data, moof).size, 0);
+});
+
+test("readBox waits for incomplete boxes", () => {
+  assert.strictEqual(readBox(FIXTURE.subarray(0, 4), 0), null);
+  const ftyp = readBox(FIXTURE, 0);
+  assert.strictEqual(readBox(FIXTURE.subarray(0, ftyp.size - 1), 0), null);
+  assert.strictEqual(ftyp.type, "ftyp");
+});
+
+test("readBox rejects boxes of size 0 or smaller than their header", () => {
+  const toEndOfFile = Buffer.from("00000000" + "6d646174", "hex");
+  const tooSmall = Buffer.from("00000004" + "6d646174", "hex");
+
+  assert.throws(() => readBox(toEndOfFile, 0), /Invalid size 0 of "mdat"/);
+  assert.throws(() => readBox(tooSmall, 0), /Invalid size 4 of "mdat"/);
+});
+
+test("FragmentReader drops its buffer on invalid data and recovers", () => {
+  const { reader, fragments } = readFixture();
+  const count = fragments.length;
+
+  assert.throws(() =>
+    reader.push(Buffer.from("00000000" + "6d646174" + "00".repeat(64), "hex"))
+  );
+  assert.strictEqual(reader.buffer.length, 0);
+
+  // The next fragment parses again with the known tracks
+  reader.push(fragments[0].data);
+  assert.strictEqual(fragments.length, count + 1);
+});
@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  parseMediaPlaylist,
+  buildVodPlaylist,
+} = require("../server/hlsPlaylist");
+
+const START = Date.parse("2024-05-01T23:59:58.000Z");
+
+test("buildVodPlaylist stitches segments and marks gaps", () => {
+  const playlist = buildVodPlaylist([
+    { uri: "/a.ts", startTime: START, duration: 2 },
+    // Starts 0.2s after the previous segment ended: within the tolerance
+    { uri: "/b.ts", startTime: START + 2200, duration: 2.5 },
+    // Starts 10s later
+    { uri: "/c.ts", startTime: START + 14700, duration: 2 },
+  ]);
+
+  assert.deepStrictEqual(playlist.split("\n"), [
+    "#EXTM3U",
+    "#EXT-X-VERSION:6",
+    "#EXT-X-PLAYLIST-TYPE:VOD",
+    "#EXT-X-TARGETDURATION:3",
+    "#EXT-X-MEDIA-SEQUENCE:0",
+    "#EXT-X-INDEPENDENT-SEGMENTS",
+    "#EXT-X-PROGRAM-DATE-TIME:2024-05-01T23:59:58.000Z",
+    "#EXTINF:2.000000,",
+    "/a.ts",
+    "#EXT-X-PROGRAM-DATE-TIME:2024-05-02T00:00:00.200Z",
+    "#EXTINF:2.500000,",
+    "/b.ts",
+    "#EXT-X-DISCONTINUITY",
+    "#EXT-X-PROGRAM-DATE-TIME:2024-05-02T00:00:12.700Z",
+    "#EXTINF:2.000000,",
+    "/c.ts",
+    "#EXT-X-ENDLIST",
+    "",
+  ]);
+});
+
+test("buildVodPlaylist output parses back into its segments", () => {
+  const segments = [
+    { uri: "/a.ts", startTime: START, duration: 2 },
+    { uri: "/b.ts", startTime: START + 2000, duration: 1.5 },
+  ];
+  const playlist = parseMediaPlaylist(buildVodPlaylist(segments));
+
+  assert.strictEqual(playlist.endList, true);
+  assert.strictEqual(playlist.targetDuration, 2);
+  assert.deepStrictEqual(
+    playlist.segments.map((segment) => [
+      segment.uri,
+      segment.duration,
+      segment.programDateTime,
+    ]),
+    segments.map((segment) => [
+      segment.uri,
+      segment.duration,
+      segment.startTime,
+    ])
+  );
+});
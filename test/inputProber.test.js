@@ -0,0 +1,105 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const config = require("../server/config");
+const InputProber = require("../server/inputProber");
+
+const camera = {
+  id: "cam1",
+  name: "Camera 1",
+  rtspUrl: "rtsp://127.0.0.1:554/stream",
+};
+
+const hevcWithoutAudio = {
+  error: null,
+  video: { codec: "hevc", pixelFormat: "yuv420p" },
+  audioStreams: [],
+};
+
+const ENV = {
+  defaultVideoMode: "DEFAULT_VIDEO_MODE",
+  defaultAudioMode: "DEFAULT_AUDIO_MODE",
+};
+
+/**
+ * Run a function with global defaults set as if from the environment,
+ * restoring them after
+ */
+function withDefaults(defaults, fn) {
+  const saved = {};
+  Object.keys(defaults).forEach((field) => {
+    saved[field] = [config.ffmpeg[field], process.env[ENV[field]]];
+    config.ffmpeg[field] = defaults[field];
+    process.env[ENV[field]] = defaults[field];
+  });
+  try {
+    return fn();
+  } finally {
+    Object.keys(saved).forEach((field) => {
+      const [value, env] = saved[field];
+      config.ffmpeg[field] = value;
+      if (env === undefined) {
+        delete process.env[ENV[field]];
+      } else {
+        process.env[ENV[field]] = env;
+      }
+    });
+  }
+}
+
+test("chooses the modes and decoder nothing else sets", () => {
+  const prober = new InputProber();
+  const { settings } = prober.chooseSettings(camera, hevcWithoutAudio);
+  assert.deepStrictEqual(settings, {
+    videoMode: "reencode",
+    videoDecoder: "hevc",
+    audioMode: "disabled",
+  });
+
+  const h264 = { ...hevcWithoutAudio, video: { codec: "h264" } };
+  const browserCompatible = {
+    ...h264,
+    video: { codec: "h264", pixelFormat: "yuv420p" },
+  };
+  assert.strictEqual(
+    prober.chooseSettings(camera, browserCompatible).settings.videoMode,
+    "passthrough"
+  );
+  assert.deepStrictEqual(
+    prober.chooseSettings(
+      { ...camera, videoMode: "reencode", audioMode: "auto" },
+      h264
+    ).settings,
+    { videoDecoder: "h264" }
+  );
+});
+
+test("leaves modes set by DEFAULT_VIDEO_MODE and DEFAULT_AUDIO_MODE alone", () => {
+  const prober = new InputProber();
+  const defaults = {
+    defaultVideoMode: "passthrough",
+    defaultAudioMode: "auto",
+  };
+  const { settings } = withDefaults(defaults, () =>
+    prober.chooseSettings(camera, hevcWithoutAudio)
+  );
+  assert.deepStrictEqual(settings, {});
+
+  // Re-encoding set in the environment still gets a matching decoder
+  const reencode = withDefaults({ defaultVideoMode: "reencode" }, () =>
+    prober.chooseSettings(camera, hevcWithoutAudio)
+  );
+  assert.deepStrictEqual(reencode.settings, {
+    videoDecoder: "hevc",
+    audioMode: "disabled",
+  });
+});
+
+test("chooses nothing without a probe result", () => {
+  const prober = new InputProber();
+  assert.deepStrictEqual(prober.chooseSettings(camera, null).settings, {});
+  assert.deepStrictEqual(
+    prober.chooseSettings(camera, { error: "Connection refused" }).settings,
+    {}
+  );
+});
@@ -0,0 +1,225 @@
+require("./setup");
+const { test, mock } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const LowLatencyHlsWriter = require("../server/lowLatencyHls");
+
+// See fmp4.test.js: 9 fragments, keyframes in fragments 0, 3, 5 and 7
+const FIXTURE = fs.readFileSync(
+  path.join(__dirname, "fixtures", "fragmented.mp4")
+);
+
+/**
+ * Create a writer with 0.25s parts and 1s segments in a new directory
+ */
+function createWriter(listSize = 5) {
+  const hlsDir = fs.mkdtempSync(
+    path.join(process.env.HLS_OUTPUT_DIR, "low-latency-")
+  );
+  const writer = new LowLatencyHlsWriter(hlsDir, {
+    label: "Camera 1",
+    partDuration: 0.25,
+    segmentDuration: 1,
+    listSize: listSize,
+  });
+  return { hlsDir, writer };
+}
+
+/**
+ * Read the playlist without its EXT-X-PROGRAM-DATE-TIME lines
+ */
+function readPlaylist(hlsDir) {
+  return fs
+    .readFileSync(path.join(hlsDir, "playlist.m3u8"), "utf8")
+    .split("\n")
+    .filter((line) => line && !line.startsWith("#EXT-X-PROGRAM-DATE-TIME"));
+}
+
+test("writes parts, segments and the playlist", () => {
+  const { hlsDir, writer } = createWriter();
+  writer.write(FIXTURE);
+
+  assert.deepStrictEqual(fs.readdirSync(hlsDir).sort(), [
+    "init.mp4",
+    ...[0, 1, 2, 3, 4, 5, 6, 7, 8].map((n) => `part_${n}.m4s`),
+    "playlist.m3u8",
+    "segment_0.m4s",
+  ]);
+  assert.deepStrictEqual(readPlaylist(hlsDir), [
+    "#EXTM3U",
+    "#EXT-X-VERSION:7",
+    "#EXT-X-TARGETDURATION:1",
+    "#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,PART-HOLD-BACK=0.750",
+    "#EXT-X-PART-INF:PART-TARGET=0.250",
+    "#EXT-X-MEDIA-SEQUENCE:0",
+    "#EXT-X-INDEPENDENT-SEGMENTS",
+    '#EXT-X-MAP:URI="init.mp4"',
+    '#EXT-X-PART:DURATION=0.328027,URI="part_0.m4s",INDEPENDENT=YES',
+    '#EXT-X-PART:DURATION=0.200000,URI="part_1.m4s"',
+    '#EXT-X-PART:DURATION=0.100000,URI="part_2.m4s"',
+    '#EXT-X-PART:DURATION=0.300000,URI="part_3.m4s",INDEPENDENT=YES',
+    '#EXT-X-PART:DURATION=0.200000,URI="part_4.m4s"',
+    "#EXTINF:1.128027,",
+    "segment_0.m4s",
+    '#EXT-X-PART:DURATION=0.300000,URI="part_5.m4s",INDEPENDENT=YES',
+    '#EXT-X-PART:DURATION=0.200000,URI="part_6.m4s"',
+    '#EXT-X-PART:DURATION=0.300000,URI="part_7.m4s",INDEPENDENT=YES',
+    '#EXT-X-PART:DURATION=0.200000,URI="part_8.m4s"',
+    '#EXT-X-PRELOAD-HINT:TYPE=PART,URI="part_9.m4s"',
+  ]);
+
+  // A segment is its parts joined
+  const parts = [0, 1, 2, 3, 4].map((n) =>
+    fs.readFileSync(path.join(hlsDir, `part_${n}.m4s`))
+  );
+  assert.ok(
+    fs
+      .readFileSync(path.join(hlsDir, "segment_0.m4s"))
+      .equals(Buffer.concat(parts))
+  );
+});
+
+test("deletes segments and parts that fall out of the playlist", () => {
+  const { hlsDir, writer } = createWriter(2);
+  for (let i = 0; i < 3; i++) {
+    writer.write(FIXTURE);
+  }
+
+  // Each copy of the fixture adds two segments: parts 0-4 and 5-8 of it
+  assert.deepStrictEqual(
+    writer.segments.map((segment) => segment.msn),
+    [3, 4]
+  );
+  assert.strictEqual(writer.current.msn, 5);
+  assert.deepStrictEqual(
+    fs.readdirSync(hlsDir).filter((file) => file.startsWith("segment_")),
+    ["segment_3.m4s", "segment_4.m4s"]
+  );
+  assert.ok(!fs.existsSync(path.join(hlsDir, "part_13.m4s")));
+  assert.ok(fs.existsSync(path.join(hlsDir, "part_14.m4s")));
+
+  const playlist = readPlaylist(hlsDir);
+  assert.ok(playlist.includes("#EXT-X-MEDIA-SEQUENCE:3"));
+  assert.strictEqual(
+    playlist[playlist.length - 1],
+    '#EXT-X-PRELOAD-HINT:TYPE=PART,URI="part_27.m4s"'
+  );
+});
+
+test("skips fragments before the first keyframe", () => {
+  const source = createWriter();
+  source.writer.write(FIXTURE);
+  const readPart = (n) =>
+    fs.readFileSync(path.join(source.hlsDir, `part_${n}.m4s`));
+
+  // Joining a stream in the middle: part 1 has no keyframe, part 3 has one
+  const { hlsDir, writer } = createWriter();
+  writer.write(
+    Buffer.concat([
+      fs.readFileSync(path.join(source.hlsDir, "init.mp4")),
+      readPart(1),
+      readPart(3),
+    ])
+  );
+
+  assert.strictEqual(writer.nextPart, 1);
+  assert.ok(
+    fs.readFileSync(path.join(hlsDir, "part_0.m4s")).equals(readPart(3))
+  );
+});
+
+test("tells which segments and parts are in the playlist", () => {
+  const { writer } = createWriter();
+  assert.strictEqual(writer.hasPart(0), false);
+  writer.write(FIXTURE);
+
+  // Segment 1 is being written and has 4 parts
+  assert.strictEqual(writer.hasPart(0), true);
+  assert.strictEqual(writer.hasPart(1), false);
+  assert.strictEqual(writer.hasPart(1, 3), true);
+  assert.strictEqual(writer.hasPart(1, 4), false);
+  assert.strictEqual(writer.hasPart(2, 0), false);
+});
+
+test("limits how far ahead blocking requests may wait", () => {
+  const { writer } = createWriter();
+  writer.write(FIXTURE);
+
+  // Up to two segments ahead, and 3s / 0.25s = 12 parts past the last one
+  assert.strictEqual(writer.canWaitFor(3), true);
+  assert.strictEqual(writer.canWaitFor(4), false);
+  assert.strictEqual(writer.canWaitFor(1, 15), true);
+  assert.strictEqual(writer.canWaitFor(1, 16), false);
+  assert.strictEqual(writer.canWaitFor(2, 11), true);
+  assert.strictEqual(writer.canWaitFor(2, 12), false);
+  assert.strictEqual(writer.canWaitFor(0, 100), true);
+
+  // Part files up to one past the preload hint (part_9.m4s)
+  assert.strictEqual(writer.canWaitForPart(10), true);
+  assert.strictEqual(writer.canWaitForPart(11), false);
+});
+
+test("resolves waiters when their part is written or the output ends", async () => {
+  const { writer } = createWriter();
+  const init = FIXTURE.subarray(0, 1228);
+  writer.write(init);
+
+  const firstPart = writer.waitForPart(0);
+  const segment = writer.waitFor(0, 1);
+  writer.write(FIXTURE.subarray(1228, 1228 + 2056));
+  assert.strictEqual(await firstPart, true);
+  assert.strictEqual(writer.hasPart(0, 1), false);
+
+  const later = writer.waitForPart(1);
+  writer.end();
+  assert.strictEqual(await segment, false);
+  assert.strictEqual(await later, false);
+  assert.strictEqual(writer.waiters.size, 0);
+  assert.strictEqual(await writer.waitForPart(0), true);
+});
+
+test("keeps the target duration when keyframes are too far apart", () => {
+  const source = createWriter();
+  source.writer.write(FIXTURE);
+  const readPart = (n) =>
+    fs.readFileSync(path.join(source.hlsDir, `part_${n}.m4s`));
+  // 0.9s of fragments without a keyframe
+  const withoutKeyframe = Buffer.concat([1, 2, 4, 6, 8].map(readPart));
+
+  const { hlsDir, writer } = createWriter();
+  const warn = mock.method(console, "warn", () => {});
+  try {
+    writer.write(fs.readFileSync(path.join(source.hlsDir, "init.mp4")));
+    for (let i = 0; i < 2; i++) {
+      writer.write(
+        Buffer.concat([readPart(0), withoutKeyframe, withoutKeyframe])
+      );
+    }
+    writer.write(readPart(3));
+  } finally {
+    warn.mock.restore();
+  }
+
+  const playlist = readPlaylist(hlsDir);
+  assert.ok(playlist.includes("#EXT-X-TARGETDURATION:1"));
+  assert.deepStrictEqual(
+    playlist.filter((line) => line.startsWith("#EXTINF")),
+    ["#EXTINF:2.128027,", "#EXTINF:2.128027,"]
+  );
+  assert.strictEqual(warn.mock.callCount(), 1);
+});
+
+test("fails on invalid data, ending its waiters", async () => {
+  const { writer } = createWriter();
+  writer.write(FIXTURE.subarray(0, 1228));
+  const firstPart = writer.waitForPart(0);
+
+  const failed = new Promise((resolve) => writer.once("error", resolve));
+  writer.write(Buffer.from("00000000" + "6d646174" + "00".repeat(64), "hex"));
+  const err = await failed;
+
+  assert.match(err.message, /Invalid size 0 of "mdat"/);
+  assert.strictEqual(writer.destroyed, true);
+  assert.strictEqual(await firstPart, false);
+});
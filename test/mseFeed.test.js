@@ -0,0 +1,43 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const path = require("path");
+const MseFeed = require("../server/mseFeed");
+
+// See fmp4.test.js: init segment of 1228 bytes, first fragment of 2056
+const FIXTURE = fs.readFileSync(
+  path.join(__dirname, "fixtures", "fragmented.mp4")
+);
+
+/**
+ * A WebSocket stand-in recording what is sent
+ */
+function createSocket() {
+  const socket = new EventEmitter();
+  socket.bufferedAmount = 0;
+  socket.sent = [];
+  socket.send = (data) => socket.sent.push(data);
+  return socket;
+}
+
+test("sends viewers the MIME type, init segment and fragments", () => {
+  const feed = new MseFeed("Camera 1");
+  const socket = createSocket();
+  feed.addViewer(socket);
+  feed.createWriter().write(FIXTURE.subarray(0, 1228 + 2056));
+
+  assert.strictEqual(socket.sent.length, 3);
+  assert.match(socket.sent[0], /^video\/mp4; codecs="avc1\./);
+  assert.ok(socket.sent[1].equals(FIXTURE.subarray(0, 1228)));
+  assert.ok(socket.sent[2].equals(FIXTURE.subarray(1228, 1228 + 2056)));
+});
+
+test("the writer fails on invalid data", async () => {
+  const writer = new MseFeed("Camera 1").createWriter();
+  const failed = new Promise((resolve) => writer.once("error", resolve));
+  writer.write(Buffer.from("00000000" + "6d646174" + "00".repeat(64), "hex"));
+
+  assert.match((await failed).message, /Invalid size 0 of "mdat"/);
+  assert.strictEqual(writer.destroyed, true);
+});
@@ -0,0 +1,44 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { requireCameraAccess } = require("../server/permissions");
+
+/**
+ * Run requireCameraAccess for a user and a path below /hls/:cameraId,
+ * returning the response status (null when the request may go on)
+ */
+function check(user, cameraId, reqPath) {
+  let status = null;
+  const res = {
+    status: (code) => {
+      status = code;
+      return res;
+    },
+    json: () => res,
+  };
+  requireCameraAccess(
+    { user, params: { cameraId }, path: reqPath },
+    res,
+    () => {}
+  );
+  return status;
+}
+
+const viewer = { username: "alice", role: "viewer", cameras: ["cam1"] };
+
+test("requireCameraAccess checks the camera in the path", () => {
+  assert.strictEqual(check(viewer, "cam1", "/segment_001.ts"), null);
+  assert.strictEqual(check(viewer, "cam1", "/sub/segment_001.ts"), null);
+  assert.strictEqual(check(viewer, "cam2", "/segment_001.ts"), 403);
+});
+
+test("requireCameraAccess rejects paths out of the camera's directory", () => {
+  [
+    "/../cam2/segment_001.ts",
+    "/%2e%2e/cam2/x.ts",
+    "/..%2fcam2/x.ts",
+    "/%zz",
+  ].forEach((reqPath) =>
+    assert.strictEqual(check(viewer, "cam1", reqPath), 400, reqPath)
+  );
+});
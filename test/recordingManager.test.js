@@ -0,0 +1,113 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const RecordingManager = require("../server/recordingManager");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a recording manager for one camera with the given settings
+ */
+function createManager(camera) {
+  const streamManager = {
+    getCamera: (cameraId) => (cameraId === camera.id ? camera : null),
+  };
+  return new RecordingManager(streamManager, null);
+}
+
+/**
+ * Write an archived 2s segment of a camera starting at a time (epoch ms)
+ */
+function writeSegment(manager, cameraId, startTime, size = 1) {
+  const dayDir = path.join(
+    manager._getCameraDir(cameraId),
+    manager._formatDate(startTime)
+  );
+  fs.mkdirSync(dayDir, { recursive: true });
+  const filePath = path.join(dayDir, `${startTime}_2000.ts`);
+  fs.writeFileSync(filePath, Buffer.alloc(size));
+  return filePath;
+}
+
+test("prune deletes recordings older than the retention period", () => {
+  const camera = { id: "retention", recordingRetentionDays: 7 };
+  const manager = createManager(camera);
+  const now = Date.now();
+  const expired = writeSegment(manager, camera.id, now - 8 * DAY_MS);
+  const kept = writeSegment(manager, camera.id, now - 6 * DAY_MS);
+  const other = path.join(path.dirname(kept), "notes.txt");
+  fs.writeFileSync(other, "");
+
+  manager.prune();
+
+  assert.ok(!fs.existsSync(expired));
+  assert.ok(!fs.existsSync(path.dirname(expired)), "empty day is removed");
+  assert.ok(fs.existsSync(kept));
+  assert.ok(fs.existsSync(other), "other files are left alone");
+});
+
+test("prune keeps recordings forever with a retention of 0 days", () => {
+  const camera = { id: "forever", recordingRetentionDays: 0 };
+  const manager = createManager(camera);
+  const old = writeSegment(manager, camera.id, Date.now() - 400 * DAY_MS);
+
+  manager.prune();
+  assert.ok(fs.existsSync(old));
+});
+
+test("prune deletes the oldest recordings over the disk quota", () => {
+  const camera = { id: "quota", recordingMaxSizeMB: 1 };
+  const manager = createManager(camera);
+  const start = Date.now() - DAY_MS;
+  const segments = [0, 1, 2, 3].map((n) =>
+    writeSegment(manager, camera.id, start + n * 2000, 400 * 1024)
+  );
+
+  manager.prune();
+
+  assert.deepStrictEqual(
+    segments.map((segment) => fs.existsSync(segment)),
+    [false, false, true, true]
+  );
+});
+
+test("listSegments finds segments overlapping a range across days", () => {
+  const camera = { id: "playback" };
+  const manager = createManager(camera);
+  const midnight = Date.parse("2024-05-02T00:00:00.000Z");
+  [-6000, -4000, -2000, 0, 2000].forEach((offset) =>
+    writeSegment(manager, camera.id, midnight + offset)
+  );
+
+  // From 1s into the second segment to the start of the last one
+  const segments = manager.listSegments(
+    camera.id,
+    midnight - 3000,
+    midnight + 2000
+  );
+  assert.deepStrictEqual(
+    segments.map((segment) => [segment.day, segment.startTime - midnight]),
+    [
+      ["2024-05-01", -4000],
+      ["2024-05-01", -2000],
+      ["2024-05-02", 0],
+    ]
+  );
+});
+
+test("getTimeline merges contiguous segments into ranges", () => {
+  const camera = { id: "timeline" };
+  const manager = createManager(camera);
+  const start = Date.parse("2024-05-01T12:00:00.000Z");
+  // Two segments back to back, then one after a 10s gap
+  [0, 2000, 14000].forEach((offset) =>
+    writeSegment(manager, camera.id, start + offset)
+  );
+
+  assert.deepStrictEqual(manager.getTimeline(camera.id, start, start + 60000), [
+    { start: start, end: start + 4000 },
+    { start: start + 14000, end: start + 16000 },
+  ]);
+});
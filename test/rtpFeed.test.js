@@ -0,0 +1,52 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const dgram = require("dgram");
+const config = require("../server/config");
+const RtpFeed = require("../server/rtpFeed");
+
+/**
+ * Bind a UDP socket to a local port
+ */
+function bindSocket(port) {
+  const socket = dgram.createSocket("udp4");
+  return new Promise((resolve, reject) => {
+    socket.once("error", reject);
+    socket.bind(port, "127.0.0.1", () => resolve(socket));
+  });
+}
+
+test("passes every track its own copy of a packet", async () => {
+  const feed = new RtpFeed("Camera 1");
+  await feed.ready;
+
+  const received = [];
+  const tracks = [1, 2].map(() => ({
+    kind: "video",
+    writeRtp: (packet) => received.push(packet),
+  }));
+  tracks.forEach((track) => feed.addTrack(track));
+
+  const sender = dgram.createSocket("udp4");
+  const packet = Buffer.from("80600001", "hex");
+  const delivered = new Promise((resolve) =>
+    feed.sockets[0].once("message", resolve)
+  );
+  sender.send(packet, feed.ports.video, "127.0.0.1");
+  await delivered;
+  sender.close();
+  feed.close();
+
+  assert.strictEqual(received.length, 2);
+  assert.ok(received[0].equals(packet) && received[1].equals(packet));
+  assert.notStrictEqual(received[0], received[1]);
+});
+
+test("ready rejects when the ports are taken", async () => {
+  const blocker = await bindSocket(config.webrtc.rtpPortStart);
+  const feed = new RtpFeed("Camera 1");
+
+  await assert.rejects(feed.ready, { code: "EADDRINUSE" });
+  feed.close();
+  blocker.close();
+});
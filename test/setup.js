@@ -0,0 +1,18 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Config is read when modules load: give it a camera and keep output in a
+// temporary directory
+process.env.CAMERAS = JSON.stringify([
+  { id: "cam1", name: "Camera 1", rtspUrl: "rtsp://127.0.0.1:554/stream" },
+]);
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "rtsp-viewer-test-"));
+process.env.HLS_OUTPUT_DIR = path.join(outputDir, "hls");
+process.env.RECORDINGS_DIR = path.join(outputDir, "recordings");
+process.env.USERS_FILE = path.join(outputDir, "users.json");
+fs.mkdirSync(process.env.HLS_OUTPUT_DIR);
+
+process.on("exit", () => {
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
@@ -0,0 +1,46 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const ShareLinkManager = require("../server/shareLinkManager");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test("verify accepts a token until it expires", () => {
+  const manager = new ShareLinkManager();
+  const expiresAt = Date.now() + HOUR_MS;
+  const token = manager.createToken("cam1", expiresAt);
+
+  assert.match(token, new RegExp(`^${expiresAt}\\.[\\w-]+$`));
+  assert.strictEqual(manager.verify("cam1", token), expiresAt);
+
+  const expired = manager.createToken("cam1", Date.now() - 1000);
+  assert.strictEqual(manager.verify("cam1", expired), null);
+});
+
+test("verify rejects tokens for other cameras or with changed parts", () => {
+  const manager = new ShareLinkManager();
+  const expiresAt = Date.now() + HOUR_MS;
+  const token = manager.createToken("cam1", expiresAt);
+  const [, signature] = token.split(".");
+
+  assert.strictEqual(manager.verify("cam2", token), null);
+  // A later expiry doesn't match the signature
+  assert.strictEqual(
+    manager.verify("cam1", `${expiresAt + HOUR_MS}.${signature}`),
+    null
+  );
+  const flipped = signature[0] === "A" ? "B" : "A";
+  assert.strictEqual(
+    manager.verify("cam1", `${expiresAt}.${flipped}${signature.slice(1)}`),
+    null
+  );
+
+  ["", "garbage", `${expiresAt}`, `${expiresAt}.`, null].forEach((bad) =>
+    assert.strictEqual(manager.verify("cam1", bad), null)
+  );
+});
+
+test("tokens stay valid with the stored secret", () => {
+  const token = new ShareLinkManager().createToken("cam1", Date.now() + 1000);
+  assert.ok(new ShareLinkManager().verify("cam1", token));
+});
@@ -0,0 +1,228 @@
+require("./setup");
+const { test, mock } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const ffmpeg = require("fluent-ffmpeg");
+const StreamManager = require("../server/streamManager");
+
+const LADDER = [
+  { height: 720, bitrate: "2000k" },
+  { height: 360, bitrate: "600k" },
+];
+
+/**
+ * Start a camera's FFmpeg command without running it, given a probe result
+ * Returns the manager and the FFmpeg arguments
+ */
+function startStream(camera, probeResult) {
+  const manager = new StreamManager();
+  manager._createStream(camera);
+  manager.streams.get(camera.id).probe = {
+    rtspUrl: camera.rtspUrl,
+    result: probeResult,
+    settings: {},
+    reasons: {},
+  };
+
+  let args = null;
+  const run = mock.method(ffmpeg.prototype, "run", function () {
+    args = this._getArguments();
+    return this;
+  });
+  try {
+    manager._startFFmpeg(camera.id);
+  } finally {
+    run.mock.restore();
+  }
+  return { manager, args };
+}
+
+/**
+ * Get the FFmpeg arguments a camera starts with, given a probe result
+ */
+function getArguments(camera, probeResult) {
+  return startStream(camera, probeResult).args;
+}
+
+function getStreamMap(args) {
+  return args[args.indexOf("-var_stream_map") + 1];
+}
+
+const abrCamera = {
+  id: "abr",
+  name: "ABR",
+  rtspUrl: "rtsp://127.0.0.1:554/abr",
+  videoMode: "reencode",
+  audioMode: "auto",
+  abrLadder: LADDER,
+};
+
+test("ABR stream map leaves out audio for a video-only input", () => {
+  const args = getArguments(abrCamera, {
+    error: null,
+    video: { codec: "h264" },
+    audioStreams: [],
+  });
+  assert.strictEqual(getStreamMap(args), "v:0,name:720p v:1,name:360p");
+  assert.ok(!args.some((arg) => /^0:a/.test(arg)), "no audio is mapped");
+});
+
+test("ABR stream map pairs every rendition with audio", () => {
+  const args = getArguments(abrCamera, {
+    error: null,
+    video: { codec: "h264" },
+    audioStreams: [{ index: 1, codec: "aac" }],
+  });
+  assert.strictEqual(getStreamMap(args), "v:0,a:0,name:720p v:1,a:1,name:360p");
+});
+
+test("progress is read from lines with and without a speed", () => {
+  const { manager } = startStream(abrCamera, {
+    error: null,
+    video: { codec: "h264" },
+    audioStreams: [],
+  });
+  const stream = manager.streams.get(abrCamera.id);
+
+  stream.ffmpegProcess.emit(
+    "stderr",
+    "frame=    1 fps=0.0 q=-1.0 size=N/A time=00:00:00.04 bitrate=N/A speed=N/A"
+  );
+  assert.strictEqual(stream.progress.frame, 1);
+  assert.strictEqual(stream.progress.speed, null);
+
+  stream.ffmpegProcess.emit(
+    "stderr",
+    "frame=  250 fps= 25 q=-1.0 size=N/A time=00:00:10.00 bitrate=N/A speed=1.01x"
+  );
+  assert.strictEqual(stream.progress.frame, 250);
+  assert.strictEqual(stream.progress.fps, 25);
+  assert.strictEqual(stream.progress.speed, 1.01);
+});
+
+const webRtcCamera = {
+  id: "webrtc",
+  name: "WebRTC",
+  rtspUrl: "rtsp://127.0.0.1:554/webrtc",
+  audioMode: "auto",
+  webrtc: true,
+};
+
+/**
+ * Get the FFmpeg arguments and the RTP feed a WebRTC camera starts with
+ */
+function startWebRtc(camera, probeResult) {
+  const { manager, args } = startStream(camera, probeResult);
+  const feed = manager.getRtpFeed(camera.id);
+  feed.close();
+  return { args, feed };
+}
+
+test("WebRTC output leaves out audio unless a probe found it", () => {
+  const probeResults = {
+    "video-only input": {
+      error: null,
+      video: { codec: "h264" },
+      audioStreams: [],
+    },
+    "no probe": null,
+    "failed probe": { error: "Connection refused", audioStreams: [] },
+  };
+  for (const [name, probeResult] of Object.entries(probeResults)) {
+    const { args, feed } = startWebRtc(webRtcCamera, probeResult);
+    assert.ok(args.includes(feed.getUrl("video")), name);
+    assert.ok(!args.includes(feed.getUrl("audio")), `${name}: no audio output`);
+    assert.ok(!args.includes("libopus"), name);
+  }
+
+  // A manual index past the streams the probe found
+  const { args } = startWebRtc(
+    { ...webRtcCamera, audioMode: "manual", audioStreamIndex: 1 },
+    { error: null, video: { codec: "h264" }, audioStreams: [{ index: 1 }] }
+  );
+  assert.ok(!args.includes("libopus"));
+});
+
+test("WebRTC output encodes the probed audio to Opus", () => {
+  const { args, feed } = startWebRtc(webRtcCamera, {
+    error: null,
+    video: { codec: "h264" },
+    audioStreams: [{ index: 1, codec: "aac" }],
+  });
+  const audio = args.indexOf(feed.getUrl("audio"));
+  assert.ok(audio > 0, "audio RTP output");
+  assert.strictEqual(args[args.lastIndexOf("-map", audio) + 1], "0:a:0");
+  assert.ok(args.includes("libopus"));
+});
+
+test("MJPEG viewers coming and going don't restart the HLS stream", () => {
+  const camera = {
+    id: "mjpeg",
+    name: "MJPEG",
+    rtspUrl: "rtsp://127.0.0.1:554/mjpeg",
+    mjpeg: true,
+  };
+  const { manager, args } = startStream(camera, {
+    error: null,
+    video: { codec: "h264" },
+    audioStreams: [],
+  });
+  const stream = manager.streams.get(camera.id);
+  const hlsProcess = stream.ffmpegProcess;
+  const hasMjpegOutput = (args) =>
+    args.some((arg) => arg.endsWith("mjpeg.jpg"));
+  assert.ok(!hasMjpegOutput(args), "the HLS process has no MJPEG output");
+
+  // A live segment that a restart of the HLS output would delete
+  const segmentPath = path.join(
+    process.env.HLS_OUTPUT_DIR,
+    camera.id,
+    "segment_000.ts"
+  );
+  fs.writeFileSync(segmentPath, "");
+
+  const runs = [];
+  const run = mock.method(ffmpeg.prototype, "run", function () {
+    runs.push(this._getArguments());
+    return this;
+  });
+  try {
+    manager.setMjpegWatched(camera.id, true);
+    manager.setMjpegWatched(camera.id, true);
+    assert.ok(stream.mjpegProcess, "MJPEG process runs while watched");
+    manager.setMjpegWatched(camera.id, false);
+  } finally {
+    run.mock.restore();
+  }
+
+  // Only the MJPEG process started, once
+  assert.deepStrictEqual(runs.map(hasMjpegOutput), [true]);
+  assert.strictEqual(stream.mjpegProcess, null);
+  assert.strictEqual(stream.ffmpegProcess, hlsProcess);
+  assert.ok(fs.existsSync(segmentPath), "live HLS files are kept");
+});
+
+test("camera edits restart the stream only for fields FFmpeg uses", () => {
+  const camera = {
+    id: "edit",
+    name: "Edit",
+    rtspUrl: "rtsp://127.0.0.1:554/edit",
+  };
+  const { manager } = startStream(camera, {
+    error: null,
+    video: { codec: "h264" },
+    audioStreams: [],
+  });
+  const stop = mock.method(manager, "stopStream", () => {});
+  const start = mock.method(manager, "startStream", () => {});
+
+  manager.updateCamera({ ...camera, name: "Hallway", recordingMode: "event" });
+  assert.strictEqual(manager.getCamera("edit").name, "Hallway");
+  assert.strictEqual(stop.mock.callCount(), 0);
+  assert.strictEqual(start.mock.callCount(), 0);
+
+  manager.updateCamera({ ...camera, name: "Hallway", videoMode: "reencode" });
+  assert.strictEqual(stop.mock.callCount(), 1);
+  assert.strictEqual(start.mock.callCount(), 1);
+});
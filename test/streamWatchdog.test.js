@@ -0,0 +1,78 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { EventEmitter } = require("events");
+const StreamWatchdog = require("../server/streamWatchdog");
+
+/**
+ * Create a watchdog over streams ({ cameraId: stream }), recording the
+ * restarts it asks for
+ */
+function createWatchdog(streams) {
+  const restarts = [];
+  const streamManager = {
+    streams: new Map(Object.entries(streams)),
+    restartStalledStream: (cameraId, reason) =>
+      restarts.push([cameraId, reason]),
+  };
+  const segmentWatcher = new EventEmitter();
+  const watchdog = new StreamWatchdog(streamManager, segmentWatcher);
+  return { watchdog, segmentWatcher, restarts };
+}
+
+/**
+ * A running stream started and last reporting progress seconds ago
+ */
+function runningStream(startedAgo, progressAgo = null) {
+  const now = Date.now();
+  return {
+    isStreaming: true,
+    ffmpegProcess: {},
+    _streamStartTime: now - startedAgo * 1000,
+    progress: progressAgo === null ? null : { time: now - progressAgo * 1000 },
+  };
+}
+
+test("restarts streams without progress or new segments", () => {
+  const { watchdog, segmentWatcher, restarts } = createWatchdog({
+    starting: runningStream(5),
+    noProgress: runningStream(60, 25),
+    noSegments: runningStream(60, 1),
+    healthy: runningStream(60, 1),
+  });
+  segmentWatcher.emit("segment", { cameraId: "healthy" });
+
+  watchdog._check();
+  assert.deepStrictEqual(restarts, [
+    ["noProgress", "No FFmpeg progress for 25s"],
+    ["noSegments", "No new HLS segments for 60s"],
+  ]);
+});
+
+test("counts time from the start of the current process", () => {
+  const { watchdog, restarts } = createWatchdog({
+    restarted: runningStream(10, 120),
+  });
+  // Segments and progress of the process before
+  watchdog.lastSegmentTimes.set("restarted", Date.now() - 120 * 1000);
+
+  watchdog._check();
+  assert.deepStrictEqual(restarts, []);
+
+  watchdog.streamManager.streams.get("restarted")._streamStartTime =
+    Date.now() - 21 * 1000;
+  watchdog._check();
+  assert.deepStrictEqual(restarts, [
+    ["restarted", "No FFmpeg progress for 21s"],
+  ]);
+});
+
+test("leaves stopped and reconnecting streams alone", () => {
+  const { watchdog, restarts } = createWatchdog({
+    stopped: { ...runningStream(60), isStreaming: false },
+    reconnecting: { ...runningStream(60), ffmpegProcess: null },
+  });
+
+  watchdog._check();
+  assert.deepStrictEqual(restarts, []);
+});
@@ -0,0 +1,95 @@
+require("./setup");
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { EventEmitter } = require("events");
+const ViewerTracker = require("../server/viewerTracker");
+
+/**
+ * Create a tracker over running streams ({ cameraId: { onDemand,
+ * startedAgo } }), recording the streams it starts and stops
+ */
+function createTracker(cameras) {
+  const started = [];
+  const stopped = [];
+  const streamManager = new EventEmitter();
+  streamManager.streams = new Map(
+    Object.entries(cameras).map(([cameraId, camera]) => [
+      cameraId,
+      {
+        camera: { id: cameraId, name: cameraId, onDemand: camera.onDemand },
+        startedAt: Date.now() - camera.startedAgo * 1000,
+      },
+    ])
+  );
+  streamManager.isRunning = () => true;
+  streamManager.isOnDemand = (camera) => camera.onDemand === true;
+  streamManager.startOnDemand = (cameraId) => started.push(cameraId);
+  streamManager.idleStream = (cameraId) => stopped.push(cameraId);
+  return { tracker: new ViewerTracker(streamManager), started, stopped };
+}
+
+const ago = (seconds) => Date.now() - seconds * 1000;
+
+test("requests start on-demand streams", () => {
+  const { tracker, started } = createTracker({
+    cam: { onDemand: true, startedAgo: 0 },
+  });
+  tracker.touch("cam");
+  tracker.touch("removed");
+  assert.deepStrictEqual(started, ["cam"]);
+  assert.ok(tracker.lastRequestTimes.has("cam"));
+  assert.ok(!tracker.lastRequestTimes.has("removed"));
+});
+
+test("stops on-demand streams without requests for the idle timeout", () => {
+  const { tracker, stopped } = createTracker({
+    idle: { onDemand: true, startedAgo: 600 },
+    watched: { onDemand: true, startedAgo: 600 },
+    alwaysOn: { onDemand: false, startedAgo: 600 },
+    // Started through the API without a viewer
+    justStarted: { onDemand: true, startedAgo: 10 },
+  });
+  tracker.lastRequestTimes.set("idle", ago(60));
+  tracker.lastRequestTimes.set("watched", ago(59));
+  tracker.lastRequestTimes.set("alwaysOn", ago(600));
+
+  tracker._check();
+  assert.deepStrictEqual(stopped, ["idle"]);
+});
+
+test("open connections keep a stream running until they close", () => {
+  const { tracker, stopped } = createTracker({
+    cam: { onDemand: true, startedAgo: 600 },
+  });
+  const removeFirst = tracker.addViewer("cam");
+  const removeSecond = tracker.addViewer("cam");
+  tracker.lastRequestTimes.set("cam", ago(600));
+
+  removeFirst();
+  removeFirst();
+  tracker.lastRequestTimes.set("cam", ago(600));
+  tracker._check();
+  assert.deepStrictEqual(stopped, [], "one viewer is still connected");
+
+  // The idle timeout starts when the last viewer leaves
+  removeSecond();
+  tracker._check();
+  assert.deepStrictEqual(stopped, []);
+  assert.strictEqual(tracker.openViewers.has("cam"), false);
+
+  tracker.lastRequestTimes.set("cam", ago(60));
+  tracker._check();
+  assert.deepStrictEqual(stopped, ["cam"]);
+});
+
+test("forgets removed cameras", () => {
+  const { tracker } = createTracker({
+    cam: { onDemand: true, startedAgo: 0 },
+  });
+  tracker.addViewer("cam");
+  tracker.streamManager.streams.delete("cam");
+  tracker.streamManager.emit("cameras");
+
+  assert.strictEqual(tracker.lastRequestTimes.size, 0);
+  assert.strictEqual(tracker.openViewers.size, 0);
+});